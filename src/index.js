@@ -1,42 +1,136 @@
 #!/usr/bin/env node
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
 const path = require('path');
+const tls = require('tls');
+const zlib = require('zlib');
 const ical = require('node-ical');
+const { rrulestr } = require('rrule');
+const WINDOWS_TIMEZONE_MAP = require('./windowsZones');
 
-const WINDOWS_TIMEZONE_MAP = {
-  'FLE Standard Time': 'Europe/Helsinki',
-  'E. Europe Standard Time': 'Europe/Bucharest',
-  'GTB Standard Time': 'Europe/Athens',
-  'Central Europe Standard Time': 'Europe/Budapest',
-  'W. Europe Standard Time': 'Europe/Berlin',
-  'Pacific Standard Time': 'America/Los_Angeles',
-  'Eastern Standard Time': 'America/New_York',
-  'Central Standard Time': 'America/Chicago',
-};
 const IANA_TIMEZONE_ALIASES = {
   'Europe/Kiev': 'Europe/Kyiv',
 };
 const TIME_FORMAT_LOCALE = 'en-GB';
 const formatterCache = new Map();
+const unresolvedTimeZones = new Set();
+let stdinCalendarText = null;
+const CALENDAR_INDEX_VERSION = 4;
+const PARSED_CACHE_MAX_AGE_DAYS = 7;
+const calendarIndexes = new WeakMap();
+const recurrenceRules = new WeakMap();
 const weekdayFormatterCache = new Map();
+const localeFormatterCache = new Map();
 const WEEKDAY_KEYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const WEEKDAY_NAMES = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+const COMMANDS = new Set([
+  'serve',
+  'book',
+  'suggest',
+  'watch',
+  'report',
+  'check-config',
+  'config',
+]);
+const CONFIG_SUBCOMMANDS = new Set(['show']);
+const CONFIG_OVERRIDES = [
+  { flag: '--tz', env: 'OUTLOOK_FREE_TIME_TZ', key: 'timeZone' },
+  { flag: '--work-hours', env: 'OUTLOOK_FREE_TIME_WORK_HOURS', key: 'workHours' },
+  { flag: '--grid', env: 'OUTLOOK_FREE_TIME_GRID', key: 'timeGridMinutes' },
+  { flag: '--locale', env: 'OUTLOOK_FREE_TIME_LOCALE', key: 'locale' },
+  { flag: null, env: 'OUTLOOK_FREE_TIME_LENGTH', key: 'lengthMinutes' },
+];
+const DEFAULT_WORK_DAY_START = '08:00';
+const DEFAULT_WORK_DAY_END = '16:00';
+const DEFAULT_SUGGEST_WEIGHTS = { adjacency: 3, preferredHours: 2, lightLoad: 1, soon: 1 };
+const AVAILABILITY_TREATMENTS = new Set(['ignore', 'soft', 'hard']);
+const DEFAULT_AVAILABILITY_POLICY = {
+  free: 'ignore',
+  tentative: 'soft',
+  busy: 'hard',
+  oof: 'hard',
+  workingElsewhere: 'ignore',
+};
+const CDO_BUSY_STATUS_MAP = {
+  FREE: 'free',
+  TENTATIVE: 'tentative',
+  BUSY: 'busy',
+  OOF: 'oof',
+  WORKINGELSEWHERE: 'workingElsewhere',
+};
+const FREEBUSY_TYPE_MAP = {
+  BUSY: 'busy',
+  'BUSY-TENTATIVE': 'tentative',
+  'BUSY-UNAVAILABLE': 'oof',
+};
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
 function parseArgs(argv) {
   const args = {
+    command: null,
+    subcommand: null,
     length: null,
     start: null,
     end: null,
+    range: null,
+    ics: null,
     config: 'config.json',
     configProvided: false,
+    profile: null,
+    overrides: {},
     debug: null,
     format: 'block',
+    participants: [],
+    quorum: null,
+    required: [],
+    top: 10,
+    port: 8080,
+    host: '127.0.0.1',
+    at: null,
+    title: null,
+    attendees: [],
+    organizer: null,
+    location: null,
+    out: null,
+    watch: false,
+    hook: null,
+    webhook: null,
     help: false,
   };
 
   for (let i = 2; i < argv.length; i += 1) {
     const arg = argv[i];
+    if (i === 2 && !arg.startsWith('-')) {
+      if (!COMMANDS.has(arg)) {
+        throw new Error(`Unknown command: ${arg}`);
+      }
+      args.command = arg;
+      continue;
+    }
+    if (i === 3 && args.command === 'config' && !arg.startsWith('-')) {
+      if (!CONFIG_SUBCOMMANDS.has(arg)) {
+        throw new Error(`Unknown config command: ${arg}`);
+      }
+      args.subcommand = arg;
+      continue;
+    }
     if (arg === '--help' || arg === '-h') {
       args.help = true;
       continue;
@@ -56,17 +150,115 @@ function parseArgs(argv) {
       i += 1;
       continue;
     }
+    if (arg === '--ics') {
+      args.ics = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--range') {
+      args.range = argv[i + 1];
+      i += 1;
+      continue;
+    }
     if (arg === '--config' || arg === '-c') {
       args.config = argv[i + 1];
       args.configProvided = true;
       i += 1;
       continue;
     }
+    if (arg === '--profile') {
+      args.profile = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    const override = CONFIG_OVERRIDES.find((item) => item.flag === arg);
+    if (override) {
+      args.overrides[override.flag] = argv[i + 1];
+      i += 1;
+      continue;
+    }
     if (arg === '--format' || arg === '-f') {
       args.format = argv[i + 1];
       i += 1;
       continue;
     }
+    if (arg === '--participants' || arg === '-p') {
+      args.participants.push(...splitList(argv[i + 1]));
+      i += 1;
+      continue;
+    }
+    if (arg === '--quorum' || arg === '-q') {
+      args.quorum = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+      continue;
+    }
+    if (arg === '--required' || arg === '-r') {
+      args.required.push(...splitList(argv[i + 1]));
+      i += 1;
+      continue;
+    }
+    if (arg === '--top' || arg === '-n') {
+      args.top = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+      continue;
+    }
+    if (arg === '--port') {
+      args.port = Number.parseInt(argv[i + 1], 10);
+      i += 1;
+      continue;
+    }
+    if (arg === '--host') {
+      args.host = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--at' || arg === '--book') {
+      if (arg === '--book') {
+        args.command = 'book';
+      }
+      args.at = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--title') {
+      args.title = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--attendee') {
+      args.attendees.push(...splitList(argv[i + 1]));
+      i += 1;
+      continue;
+    }
+    if (arg === '--organizer') {
+      args.organizer = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--location') {
+      args.location = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--out' || arg === '-o') {
+      args.out = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--watch' || arg === '-w') {
+      args.watch = true;
+      continue;
+    }
+    if (arg === '--hook') {
+      args.hook = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === '--webhook') {
+      args.webhook = argv[i + 1];
+      i += 1;
+      continue;
+    }
     if (arg === '--debug' || arg === '-d') {
       const next = argv[i + 1];
       if (next && !next.startsWith('-')) {
@@ -83,991 +275,5396 @@ function parseArgs(argv) {
   return args;
 }
 
-function resolveDefaultConfigPath() {
-  const envPath = process.env.OUTLOOK_FREE_TIME_CONFIG;
-  if (envPath) {
-    return path.resolve(envPath);
-  }
-  const cwdConfig = path.resolve(process.cwd(), 'config.json');
-  if (fs.existsSync(cwdConfig)) {
-    return cwdConfig;
-  }
+function getGlobalConfigPath() {
   const home = process.env.USERPROFILE || process.env.HOME;
-  if (home) {
-    const homeConfig = path.resolve(home, '.outlook-free-time.json');
-    if (fs.existsSync(homeConfig)) {
-      return homeConfig;
-    }
+  return home ? path.resolve(home, '.outlook-free-time.json') : null;
+}
+
+function getProjectConfigPath(args) {
+  if (args.configProvided) {
+    return path.resolve(args.config);
   }
-  return cwdConfig;
+  const envPath = process.env.OUTLOOK_FREE_TIME_CONFIG;
+  return envPath ? path.resolve(envPath) : path.resolve(process.cwd(), 'config.json');
 }
 
 function showHelp() {
   const helpText = [
     'Usage:',
     '  node src/index.js --length 30 --start 14.1 --end 16.1',
+    '  node src/index.js serve --port 8080',
+    '  node src/index.js book --at 2026-10-21T09:00 --length 30 --title Sync --attendee a@x.com',
+    '',
+    'Commands:',
+    '  serve          Run an HTTP server with /free, /busy and /freebusy.ics endpoints',
+    '  book           Write a METHOD:REQUEST invite (.ics) if the slot is still free',
+    '  suggest        Rank concrete meeting start times and print the best --top',
+    '  check-config   Validate the config and print the effective time zone and cache paths',
+    '  watch          Re-check free slots on the cache schedule and print what changed',
+    '  report         Summarize meeting load per day and week (default range: this-week)',
+    '  config show    Print the merged config and where each value came from',
     '',
     'Options:',
-    '  --length, -l   Meeting length in minutes',
-    '  --start, -s    Start date (DD.M, DD.MM.YYYY, or YYYY-MM-DD)',
-    '  --end, -e      End date (DD.M, DD.MM.YYYY, or YYYY-MM-DD)',
-    '  --config, -c   Path to config.json (default: config.json or OUTLOOK_FREE_TIME_CONFIG)',
-    '  --format, -f   Output format: text, list, block, json (default: block)',
+    '  --length, -l   Meeting length in minutes (default: lengthMinutes from the config)',
+    '  --start, -s    Start date (DD.M, DD.MM.YYYY, YYYY-MM-DD, today, +3d, fri, 2026-W43)',
+    '  --end, -e      End date (same formats; default: end of --start)',
+    '  --range        this-week, next-week, next-N-days or next-N-workdays',
+    '  --config, -c   Project config (default: OUTLOOK_FREE_TIME_CONFIG or ./config.json)',
+    '  --profile      Apply a named profile from the config (or OUTLOOK_FREE_TIME_PROFILE)',
+    '  --tz           Override timeZone (or OUTLOOK_FREE_TIME_TZ)',
+    '  --work-hours   Override the work hours, e.g. 09:00-17:00 (or OUTLOOK_FREE_TIME_WORK_HOURS)',
+    '  --grid         Override timeGridMinutes (or OUTLOOK_FREE_TIME_GRID)',
+    '  --locale       Weekday names, date order and clock style, e.g. fi, en-US, sv, de',
+    '  --ics          Read the calendar from a file, URL (http, https, webcal) or - for stdin',
+    '  --format, -f   text, list, block, json, markdown, html, grid, prose, ics, a config format',
+    '                 name or a template like "{weekday} {label}: {start}-{end}" (default: block)',
+    '  --participants, -p  Comma-separated calendar names that must be free (default: all)',
+    '  --quorum, -q   List slots where at least N of the participants are free',
+    '  --required, -r Comma-separated participants that must be free in quorum mode',
+    '  --top, -n      Number of slots to list in quorum and suggest mode (default: 10)',
+    '  --port         Port for serve (default: 8080)',
+    '  --host         Host for serve (default: 127.0.0.1)',
+    '  --at, --book   Slot start for book (YYYY-MM-DDTHH:MM or DD.MM.YYYY HH:MM)',
+    '  --title        Invite summary for book (default: Meeting)',
+    '  --attendee     Attendee email for book (repeatable or comma-separated)',
+    '  --organizer    Organizer email for book (default: config organizer)',
+    '  --location     Invite location for book',
+    '  --out, -o      Invite file for book (default: invite-YYYYMMDD-HHMM.ics, - for stdout)',
+    '  --watch, -w    Same as the watch command (default window: next-7-days)',
+    '  --hook         Shell command to run when watch finds changes (JSON on stdin)',
+    '  --webhook      URL to POST watch changes to as JSON',
     '  --debug, -d    Print busy intervals for each day (optionally pass a date)',
   ];
   console.log(helpText.join('\n'));
 }
 
-function readConfig(configPath) {
-  const resolvedPath = path.resolve(configPath);
+function parseConfigFile(resolvedPath) {
   const raw = fs.readFileSync(resolvedPath, 'utf8');
-  const config = JSON.parse(raw);
-  return {
-    ...config,
-    configPath: resolvedPath,
-    configDir: path.dirname(resolvedPath),
-  };
-}
-
-function normalizeTimeZone(rawValue) {
-  if (rawValue === undefined || rawValue === null || rawValue === '') {
-    return null;
-  }
-  const input = String(rawValue).trim();
-  if (!input) {
-    return null;
-  }
-  const mapped =
-    WINDOWS_TIMEZONE_MAP[input] || IANA_TIMEZONE_ALIASES[input] || input;
   try {
-    new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, { timeZone: mapped });
+    return JSON.parse(raw);
   } catch (error) {
-    throw new Error(`Unsupported timeZone value: ${input}`);
+    throw new Error(`${resolvedPath} is not valid JSON: ${error.message}`);
   }
-  return mapped;
 }
 
-function resolveEventTimeZone(event) {
-  const raw =
-    (event && event.start && event.start.tz) ||
-    (event && event.rrule && event.rrule.origOptions && event.rrule.origOptions.tzid) ||
-    (event && event.rrule && event.rrule.options && event.rrule.options.tzid) ||
-    (event && event.tz) ||
-    null;
-  if (!raw) {
-    return null;
+function resolveConfigPaths(values, configDir) {
+  if (!matchesConfigType(values, 'object')) {
+    return values;
   }
-  try {
-    return normalizeTimeZone(raw);
-  } catch (error) {
-    return null;
+  const resolved = { ...values };
+  for (const key of ['icsFile', 'icsCacheFile', 'caFile']) {
+    if (typeof resolved[key] === 'string' && resolved[key].trim()) {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  }
+  for (const key of ['calendars', 'nonWorkingDays']) {
+    if (Array.isArray(resolved[key])) {
+      resolved[key] = resolved[key].map((item) => resolveConfigPaths(item, configDir));
+    }
+  }
+  if (matchesConfigType(resolved.profiles, 'object')) {
+    resolved.profiles = Object.fromEntries(
+      Object.entries(resolved.profiles).map(([name, profile]) => [
+        name,
+        resolveConfigPaths(profile, configDir),
+      ]),
+    );
   }
+  return resolved;
 }
 
-function normalizeWeekdayKey(rawKey) {
-  if (!rawKey) {
-    return null;
-  }
-  const value = String(rawKey).trim().toUpperCase();
-  if (!value) {
-    return null;
+function readConfigLayer(filePath) {
+  const configDir = path.dirname(filePath);
+  return {
+    kind: 'file',
+    source: filePath,
+    values: resolveConfigPaths(parseConfigFile(filePath), configDir),
+  };
+}
+
+function getProfileLayer(fileLayers, name) {
+  let found = null;
+  const names = new Set();
+  for (const layer of fileLayers) {
+    const profiles = matchesConfigType(layer.values.profiles, 'object')
+      ? layer.values.profiles
+      : {};
+    Object.keys(profiles).forEach((key) => names.add(key));
+    if (Object.prototype.hasOwnProperty.call(profiles, name)) {
+      found = { source: layer.source, values: profiles[name] };
+    }
   }
-  if (value.length === 2) {
-    const map = {
-      MO: 'MON',
-      TU: 'TUE',
-      WE: 'WED',
-      TH: 'THU',
-      FR: 'FRI',
-      SA: 'SAT',
-      SU: 'SUN',
-    };
-    return map[value] || null;
+  if (!found) {
+    const available = names.size > 0 ? `available: ${[...names].join(', ')}` : 'none defined';
+    throw new Error(`Unknown profile: ${name} (${available})`);
   }
-  if (value.startsWith('MON')) return 'MON';
-  if (value.startsWith('TUE')) return 'TUE';
-  if (value.startsWith('WED')) return 'WED';
-  if (value.startsWith('THU') || value.startsWith('THR')) return 'THU';
-  if (value.startsWith('FRI')) return 'FRI';
-  if (value.startsWith('SAT')) return 'SAT';
-  if (value.startsWith('SUN')) return 'SUN';
-  return null;
+  return {
+    kind: 'profile',
+    source: `profile ${name} in ${displayConfigSource(found.source)}`,
+    values: matchesConfigType(found.values, 'object') ? found.values : {},
+  };
 }
 
-function getFormatter(timeZone) {
-  if (!timeZone) {
-    return null;
+function getOverrideLayer(override, value, kind, source) {
+  if (override.key !== 'workHours') {
+    return { kind, source, values: { [override.key]: value } };
   }
-  if (!formatterCache.has(timeZone)) {
-    formatterCache.set(
-      timeZone,
-      new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, {
-        timeZone,
-        hour12: false,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-      }),
-    );
+  const match = /^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/.exec(String(value));
+  if (!match) {
+    throw new Error(`${source} must look like 09:00-17:00`);
   }
-  return formatterCache.get(timeZone);
+  return {
+    kind,
+    source,
+    values: { workDayStart: match[1], workDayEnd: match[2], workingHours: undefined },
+  };
 }
 
-function getWeekdayFormatter(timeZone) {
-  const key = timeZone || 'local';
-  if (!weekdayFormatterCache.has(key)) {
-    weekdayFormatterCache.set(
-      key,
-      new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }),
+function collectConfigLayers(args) {
+  const projectPath = getProjectConfigPath(args);
+  const globalPath = getGlobalConfigPath();
+  const files = [];
+  if (globalPath && globalPath !== projectPath && fs.existsSync(globalPath)) {
+    files.push(globalPath);
+  }
+  if (fs.existsSync(projectPath)) {
+    files.push(projectPath);
+  } else if (
+    args.configProvided ||
+    (!args.ics && (process.env.OUTLOOK_FREE_TIME_CONFIG || files.length === 0))
+  ) {
+    throw new Error(
+      `Config not found at ${projectPath}. Use --config or set OUTLOOK_FREE_TIME_CONFIG.`,
     );
   }
-  return weekdayFormatterCache.get(key);
-}
 
-function getWeekdayKey(date, timeZone) {
-  if (!timeZone) {
-    return WEEKDAY_KEYS[date.getDay()];
+  const layers = files.map(readConfigLayer);
+  const profile = args.profile || process.env.OUTLOOK_FREE_TIME_PROFILE;
+  if (profile) {
+    layers.push(getProfileLayer(layers, profile));
   }
-  const formatter = getWeekdayFormatter(timeZone);
-  const label = formatter.format(date);
-  return normalizeWeekdayKey(label) || WEEKDAY_KEYS[date.getDay()];
-}
-
-function getTimeZoneParts(date, timeZone) {
-  const formatter = getFormatter(timeZone);
-  if (!formatter) {
-    return null;
+  for (const override of CONFIG_OVERRIDES) {
+    const value = process.env[override.env];
+    if (!isMissingValue(value)) {
+      layers.push(getOverrideLayer(override, value, 'env', override.env));
+    }
   }
-  const parts = formatter.formatToParts(date);
-  const values = {};
-  for (const part of parts) {
-    if (part.type !== 'literal') {
-      values[part.type] = part.value;
+  for (const override of CONFIG_OVERRIDES) {
+    const value = override.flag ? args.overrides[override.flag] : undefined;
+    if (value !== undefined) {
+      layers.push(getOverrideLayer(override, value, 'flag', override.flag));
     }
   }
   return {
-    year: Number(values.year),
-    month: Number(values.month),
-    day: Number(values.day),
-    hour: Number(values.hour),
-    minute: Number(values.minute),
-    second: Number(values.second),
+    layers,
+    files,
+    profile: profile || null,
+    configPath: files.length > 0 ? files[files.length - 1] : null,
+    configDir: files.length > 0 ? path.dirname(files[files.length - 1]) : process.cwd(),
   };
 }
 
-function getTimeZoneOffset(date, timeZone) {
-  const parts = getTimeZoneParts(date, timeZone);
-  if (!parts) {
-    return 0;
+function validateConfigLayers(layers) {
+  const issues = [];
+  for (const layer of layers) {
+    if (layer.kind === 'file') {
+      const source = path.basename(layer.source);
+      for (const issue of validateConfigValue(layer.values, CONFIG_SCHEMA, '')) {
+        issues.push({ ...issue, source });
+      }
+    } else if (layer.kind !== 'profile') {
+      for (const [key, value] of Object.entries(layer.values)) {
+        validateConfigValue(value, CONFIG_SCHEMA.properties[key], layer.source, issues);
+      }
+    }
   }
-  const asUtc = Date.UTC(
-    parts.year,
-    parts.month - 1,
-    parts.day,
-    parts.hour,
-    parts.minute,
-    parts.second,
-  );
-  return asUtc - date.getTime();
+  return issues;
 }
 
-function makeDateInTimeZone(year, month, day, hour, minute, second, timeZone) {
-  const utcGuess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
-  if (!timeZone) {
-    return utcGuess;
+function mergeConfigLayers(layers) {
+  const config = {};
+  const sources = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (key === 'profiles') {
+        config.profiles = { ...config.profiles, ...value };
+      } else if (value === undefined) {
+        delete config[key];
+      } else {
+        config[key] = value;
+      }
+      sources[key] = layer.source;
+    }
   }
-  const offset = getTimeZoneOffset(utcGuess, timeZone);
-  return new Date(utcGuess.getTime() - offset);
+  return { config, sources };
 }
 
-function alignToEventWallTime(date, eventStart, timeZone) {
-  if (!timeZone || !(eventStart instanceof Date)) {
-    return date;
+function checkMergedConfig(config) {
+  const workDay = {
+    start: config.workDayStart || DEFAULT_WORK_DAY_START,
+    end: config.workDayEnd || DEFAULT_WORK_DAY_END,
+  };
+  return isTimeWindowOrdered(workDay)
+    ? []
+    : [{ level: 'error', path: '', message: 'workDayEnd must be after workDayStart' }];
+}
+
+function formatLayerIssue(issue) {
+  return issue.source ? `${issue.source}: ${formatConfigIssue(issue)}` : formatConfigIssue(issue);
+}
+
+function loadLayeredConfig(args) {
+  const collected = collectConfigLayers(args);
+  const issues = validateConfigLayers(collected.layers);
+  const error = issues.find((issue) => issue.level === 'error');
+  if (error) {
+    throw new Error(formatLayerIssue(error));
   }
-  const baseParts = getTimeZoneParts(eventStart, timeZone);
-  const occurrenceParts = getTimeZoneParts(date, timeZone);
-  if (!baseParts || !occurrenceParts) {
-    return date;
+  for (const issue of issues) {
+    console.warn(`Warning: ${formatLayerIssue(issue)}`);
   }
-  return makeDateInTimeZone(
-    occurrenceParts.year,
-    occurrenceParts.month,
-    occurrenceParts.day,
-    baseParts.hour,
-    baseParts.minute,
-    baseParts.second,
-    timeZone,
-  );
+  const { config, sources } = mergeConfigLayers(collected.layers);
+  const [orderError] = checkMergedConfig(config);
+  if (orderError) {
+    throw new Error(formatLayerIssue(orderError));
+  }
+  return {
+    ...collected,
+    sources,
+    config: { ...config, configPath: collected.configPath, configDir: collected.configDir },
+  };
 }
 
-function normalizeCacheMaxAgeMinutes(rawValue) {
-  if (rawValue === undefined || rawValue === null || rawValue === '') {
-    return 5;
+function isMissingValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function formatConfigPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
   }
-  const parsed = Number.parseInt(rawValue, 10);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
-    throw new Error('cacheMaxAgeMinutes must be a positive integer');
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return `${base}[${JSON.stringify(key)}]`;
   }
-  return parsed;
+  return base ? `${base}.${key}` : key;
 }
 
-function resolveCachePath(config) {
-  if (config.icsCacheFile) {
-    return path.resolve(config.configDir, config.icsCacheFile);
+function describeConfigType(schema) {
+  if (schema.type === 'oneOf') {
+    return schema.options.map(describeConfigType).join(' or ');
   }
-  return path.resolve(config.configDir, '.cache', 'calendar.ics');
+  const names = {
+    string: 'a string',
+    boolean: 'true or false',
+    integer: schema.positive ? 'a positive integer' : 'a non-negative integer',
+    number: schema.positive ? 'a positive number' : 'a non-negative number',
+    time: 'a time in HH:MM format',
+    timeZone: 'a time zone name',
+    date: 'a date in YYYY-MM-DD, D.M or D.M.YYYY format',
+    url: `an ${(schema.protocols || ['http', 'https']).join('/')} URL`,
+    enum: `one of: ${(schema.values || []).join(', ')}`,
+    array: 'an array',
+    object: 'an object',
+    any: 'any value',
+  };
+  return names[schema.type];
 }
 
-function isCacheFresh(filePath, maxAgeMinutes) {
-  try {
-    const stats = fs.statSync(filePath);
-    const ageMs = Date.now() - stats.mtimeMs;
-    return ageMs >= 0 && ageMs < maxAgeMinutes * 60 * 1000;
-  } catch {
-    return false;
+function matchesConfigType(value, type) {
+  if (type === 'array') {
+    return Array.isArray(value);
   }
+  if (type === 'object') {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean';
+  }
+  if (type === 'integer' || type === 'number') {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+  }
+  return type === 'any' || typeof value === 'string';
 }
 
-function downloadFile(url, filePath, redirectCount = 0) {
-  if (redirectCount > 5) {
-    return Promise.reject(new Error('Too many redirects while downloading ICS'));
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
   }
-  const client = url.startsWith('https:') ? https : http;
-  return new Promise((resolve, reject) => {
-    const request = client.get(url, (res) => {
-      const status = res.statusCode || 0;
-      if (status >= 300 && status < 400 && res.headers.location) {
-        res.resume();
-        const nextUrl = new URL(res.headers.location, url).toString();
-        downloadFile(nextUrl, filePath, redirectCount + 1).then(resolve).catch(reject);
-        return;
-      }
-      if (status < 200 || status >= 300) {
-        res.resume();
-        reject(new Error(`Failed to download ICS (${status})`));
-        return;
-      }
-      fs.mkdirSync(path.dirname(filePath), { recursive: true });
-      const tempPath = `${filePath}.tmp`;
-      const fileStream = fs.createWriteStream(tempPath);
-      res.pipe(fileStream);
-      fileStream.on('finish', () => {
-        fileStream.close(() => {
-          fs.renameSync(tempPath, filePath);
-          resolve();
-        });
+  return previous[b.length];
+}
+
+function suggestConfigKey(key, candidates) {
+  const needle = key.toLowerCase();
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = getEditDistance(needle, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function checkConfigScalar(value, schema) {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const parsed = Number(value);
+    const valid =
+      Number.isFinite(parsed) &&
+      (schema.type === 'number' || Number.isInteger(parsed)) &&
+      (schema.positive ? parsed > 0 : parsed >= 0);
+    return valid ? null : `must be ${describeConfigType(schema)}`;
+  }
+  if (schema.type === 'enum') {
+    const values = schema.values.map((item) => item.toLowerCase());
+    return values.includes(String(value).trim().toLowerCase())
+      ? null
+      : `must be ${describeConfigType(schema)}`;
+  }
+  const parsers = {
+    time: parseTimeOfDay,
+    timeZone: normalizeTimeZone,
+    date: parseConfigDate,
+  };
+  if (parsers[schema.type]) {
+    try {
+      parsers[schema.type](value);
+      return null;
+    } catch {
+      return `must be ${describeConfigType(schema)} (got ${JSON.stringify(value)})`;
+    }
+  }
+  if (schema.type === 'url') {
+    const protocols = schema.protocols || ['http', 'https'];
+    const match = /^([a-z]+):\/\/\S+$/i.exec(value);
+    return match && protocols.includes(match[1].toLowerCase())
+      ? null
+      : `must be ${describeConfigType(schema)}`;
+  }
+  return null;
+}
+
+function validateConfigValue(value, schema, pathName, issues = []) {
+  const firstIssue = issues.length;
+  if (isMissingValue(value)) {
+    if (schema.required) {
+      issues.push({ level: 'error', path: pathName, message: 'is required' });
+    }
+    return issues;
+  }
+  if (schema.type === 'oneOf') {
+    const option = schema.options.find((item) => matchesConfigType(value, item.type));
+    if (!option) {
+      issues.push({
+        level: 'error',
+        path: pathName,
+        message: `must be ${describeConfigType(schema)}`,
       });
-      fileStream.on('error', (error) => {
-        res.resume();
-        try {
-          fs.unlinkSync(tempPath);
-        } catch {
-          // Ignore cleanup failures.
+      return issues;
+    }
+    validateConfigValue(value, option, pathName, issues);
+  } else if (!matchesConfigType(value, schema.type)) {
+    issues.push({
+      level: 'error',
+      path: pathName,
+      message: `must be ${describeConfigType(schema)}`,
+    });
+    return issues;
+  } else if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      issues.push({ level: 'error', path: pathName, message: 'must not be empty' });
+    }
+    value.forEach((item, index) => {
+      validateConfigValue(item, schema.items, formatConfigPath(pathName, index), issues);
+    });
+  } else if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      validateConfigValue(value[key], propertySchema, formatConfigPath(pathName, key), issues);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        continue;
+      }
+      const keyPath = formatConfigPath(pathName, key);
+      if (schema.values) {
+        const keyProblem = schema.keys ? schema.keys(key) : null;
+        if (keyProblem) {
+          issues.push({ level: 'error', path: keyPath, message: keyProblem });
+        } else {
+          validateConfigValue(item, schema.values, keyPath, issues);
         }
-        reject(error);
+        continue;
+      }
+      const suggestion = suggestConfigKey(key, Object.keys(properties));
+      issues.push({
+        level: schema.closed ? 'error' : 'warning',
+        path: keyPath,
+        message: suggestion
+          ? `is not a known key (did you mean ${suggestion}?)`
+          : 'is not a known key',
       });
-    });
-    request.on('error', reject);
-  });
+    }
+  } else {
+    const problem = checkConfigScalar(value, schema);
+    if (problem) {
+      issues.push({ level: 'error', path: pathName, message: problem });
+      return issues;
+    }
+  }
+  if (schema.check && !issues.slice(firstIssue).some((issue) => issue.level === 'error')) {
+    const problem = schema.check(value);
+    if (problem) {
+      issues.push({ level: 'error', path: pathName, message: problem });
+    }
+  }
+  return issues;
 }
 
-async function ensureCachedIcs(config) {
-  const cachePath = resolveCachePath(config);
-  const maxAgeMinutes = normalizeCacheMaxAgeMinutes(config.cacheMaxAgeMinutes);
-  if (isCacheFresh(cachePath, maxAgeMinutes)) {
-    return cachePath;
+function formatConfigIssue(issue) {
+  return issue.path ? `${issue.path} ${issue.message}` : issue.message;
+}
+
+function assertConfigValue(value, schema, pathName) {
+  const error = validateConfigValue(value, schema, pathName).find(
+    (issue) => issue.level === 'error',
+  );
+  if (error) {
+    throw new Error(formatConfigIssue(error));
   }
-  await downloadFile(config.icsUrl, cachePath);
-  return cachePath;
 }
 
-function parseDateInput(input) {
-  const value = String(input || '').trim();
-  if (!value) {
-    throw new Error('Date value is required');
+function normalizeConfigNumber(rawValue, schema, name, defaultValue) {
+  assertConfigValue(rawValue, schema, name);
+  return isMissingValue(rawValue) ? defaultValue : Number(rawValue);
+}
+
+function isTimeWindowOrdered(window) {
+  return compareTimeOfDay(parseTimeOfDay(window.end), parseTimeOfDay(window.start)) > 0;
+}
+
+function toTimeWindowList(rawWindows) {
+  if (isMissingValue(rawWindows)) {
+    return [];
   }
+  return Array.isArray(rawWindows) ? rawWindows : [rawWindows];
+}
 
-  const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
-  if (isoMatch) {
-    const year = Number.parseInt(isoMatch[1], 10);
-    const month = Number.parseInt(isoMatch[2], 10);
-    const day = Number.parseInt(isoMatch[3], 10);
-    return buildDate(year, month, day);
+function findOverlappingWindows(rawWindows) {
+  const windows = toTimeWindowList(rawWindows)
+    .map((window, index) => ({
+      index,
+      start: parseTimeOfDay(window.start),
+      end: parseTimeOfDay(window.end),
+    }))
+    .sort((a, b) => compareTimeOfDay(a.start, b.start));
+  const overlaps = [];
+  for (let i = 0; i < windows.length; i += 1) {
+    for (let j = i + 1; j < windows.length; j += 1) {
+      if (compareTimeOfDay(windows[j].start, windows[i].end) < 0) {
+        overlaps.push([windows[i].index, windows[j].index].sort((a, b) => a - b));
+      }
+    }
   }
+  return overlaps;
+}
 
-  const dotMatch = /^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/.exec(value);
-  if (dotMatch) {
-    const day = Number.parseInt(dotMatch[1], 10);
-    const month = Number.parseInt(dotMatch[2], 10);
-    const year = dotMatch[3]
-      ? Number.parseInt(dotMatch[3], 10)
-      : new Date().getFullYear();
-    return buildDate(year, month, day);
+function isWeekdayOrDate(value) {
+  if (!/\d/.test(value)) {
+    return Boolean(normalizeWeekdayKey(value));
   }
+  return checkConfigScalar(value, { type: 'date' }) === null;
+}
 
-  throw new Error(`Unsupported date format: ${value}`);
+const TIME_WINDOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    start: { type: 'time', required: true },
+    end: { type: 'time', required: true },
+  },
+  check: (value) => (isTimeWindowOrdered(value) ? null : 'end must be after start'),
+};
+const TIME_WINDOWS_SCHEMA = {
+  type: 'oneOf',
+  options: [TIME_WINDOW_SCHEMA, { type: 'array', items: TIME_WINDOW_SCHEMA }],
+};
+const WORKING_WINDOWS_SCHEMA = {
+  ...TIME_WINDOWS_SCHEMA,
+  check: (value) => (findOverlappingWindows(value).length > 0 ? 'windows must not overlap' : null),
+};
+const STRING_LIST_SCHEMA = {
+  type: 'oneOf',
+  options: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+};
+const SCHEDULE_CONFIG_SCHEMA = {
+  timeZone: { type: 'timeZone' },
+  workDayStart: { type: 'time' },
+  workDayEnd: { type: 'time' },
+  workingHours: {
+    type: 'object',
+    keys: (key) => (isWeekdayOrDate(key) ? null : 'is not a weekday or date'),
+    values: WORKING_WINDOWS_SCHEMA,
+  },
+};
+const LOAD_LIMIT_CONFIG_SCHEMA = {
+  maxMeetingMinutesPerDay: { type: 'integer', positive: true },
+  maxMeetingsPerDay: { type: 'integer', positive: true },
+  minFocusBlockMinutes: { type: 'integer', positive: true },
+};
+const SOURCE_CONFIG_SCHEMA = {
+  icsUrl: { type: 'url', protocols: ['http', 'https', 'webcal', 'webcals'] },
+  icsFile: { type: 'string' },
+  caldavUrl: { type: 'url' },
+  caldavMode: { type: 'enum', values: ['events', 'freebusy'] },
+  icsCacheFile: { type: 'string' },
+  cacheMaxAgeMinutes: { type: 'integer', positive: true },
+  fetchTimeoutSeconds: { type: 'number', positive: true },
+  fetchRetries: { type: 'integer' },
+  staleCacheMaxHours: { type: 'number' },
+  headers: {
+    type: 'object',
+    values: {
+      type: 'oneOf',
+      options: [
+        { type: 'string' },
+        { type: 'number' },
+        { type: 'object', properties: { env: { type: 'string', required: true } } },
+      ],
+    },
+  },
+  auth: {
+    type: 'object',
+    properties: {
+      type: { type: 'enum', values: ['basic', 'bearer'], required: true },
+      username: { type: 'string' },
+      usernameEnv: { type: 'string' },
+      passwordEnv: { type: 'string' },
+      tokenEnv: { type: 'string' },
+    },
+    check: (value) => {
+      if (String(value.type).toLowerCase() === 'bearer') {
+        return value.tokenEnv ? null : 'bearer auth needs tokenEnv';
+      }
+      return (value.username || value.usernameEnv) && value.passwordEnv
+        ? null
+        : 'basic auth needs username (or usernameEnv) and passwordEnv';
+    },
+  },
+  caFile: { type: 'string' },
+  ignoreSummaries: STRING_LIST_SCHEMA,
+  availability: {
+    type: 'object',
+    closed: true,
+    properties: Object.fromEntries(
+      Object.keys(DEFAULT_AVAILABILITY_POLICY).map((key) => [
+        key,
+        { type: 'enum', values: [...AVAILABILITY_TREATMENTS] },
+      ]),
+    ),
+  },
+  bufferBeforeMinutes: { type: 'integer' },
+  bufferAfterMinutes: { type: 'integer' },
+  bufferRules: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        location: STRING_LIST_SCHEMA,
+        summary: STRING_LIST_SCHEMA,
+        before: { type: 'integer' },
+        after: { type: 'integer' },
+      },
+      check: (value) =>
+        isMissingValue(value.location) && isMissingValue(value.summary)
+          ? 'must include location or summary'
+          : null,
+    },
+  },
+};
+const CALENDAR_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      required: true,
+      check: (value) => (value.trim() ? null : 'must not be blank'),
+    },
+    required: { type: 'boolean' },
+    ...SOURCE_CONFIG_SCHEMA,
+    ...SCHEDULE_CONFIG_SCHEMA,
+    ...LOAD_LIMIT_CONFIG_SCHEMA,
+  },
+  check: (value) =>
+    value.icsUrl || value.icsFile || value.caldavUrl
+      ? null
+      : 'must include icsUrl, icsFile or caldavUrl',
+};
+const NON_WORKING_DAY_SCHEMA = {
+  type: 'oneOf',
+  options: [
+    {
+      type: 'string',
+      check: (value) => (isWeekdayOrDate(value) ? null : 'must be a weekday or a date'),
+    },
+    {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        date: { type: 'date' },
+        start: { type: 'date' },
+        end: { type: 'date' },
+        icsFile: { type: 'string' },
+        calendar: { type: 'any' },
+      },
+      check: (value) => {
+        if (value.icsFile || value.calendar || value.date) {
+          return null;
+        }
+        if (!value.start || !value.end) {
+          return 'must include date, start and end, or icsFile';
+        }
+        return parseConfigDate(value.end) < parseConfigDate(value.start)
+          ? 'end must be on or after start'
+          : null;
+      },
+    },
+  ],
+};
+const PROFILE_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SOURCE_CONFIG_SCHEMA,
+    ...SCHEDULE_CONFIG_SCHEMA,
+    timeGridMinutes: { type: 'integer', positive: true },
+    excludeTime: TIME_WINDOWS_SCHEMA,
+    excludeTimeWeekly: {
+      type: 'object',
+      keys: (key) => (normalizeWeekdayKey(key) ? null : 'is not a weekday (MON..SUN)'),
+      values: TIME_WINDOWS_SCHEMA,
+    },
+    calendars: {
+      type: 'array',
+      minItems: 1,
+      items: CALENDAR_CONFIG_SCHEMA,
+      check: (value) => {
+        const names = value.map((item) => String(item.name).trim().toLowerCase());
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        return duplicate ? `contains the name ${duplicate} more than once` : null;
+      },
+    },
+    organizer: { type: 'string' },
+    ...LOAD_LIMIT_CONFIG_SCHEMA,
+    preferredHours: TIME_WINDOWS_SCHEMA,
+    suggestWeights: {
+      type: 'object',
+      closed: true,
+      properties: Object.fromEntries(
+        Object.keys(DEFAULT_SUGGEST_WEIGHTS).map((key) => [key, { type: 'number' }]),
+      ),
+    },
+    nonWorkingDays: { type: 'array', items: NON_WORKING_DAY_SCHEMA },
+    displayTimeZones: { type: 'array', items: { type: 'timeZone' } },
+    watchCommand: { type: 'string' },
+    watchWebhook: { type: 'url' },
+    lengthMinutes: { type: 'integer', positive: true },
+    locale: {
+      type: 'string',
+      check: (value) => (isSupportedLocale(value) ? null : 'is not a supported locale'),
+    },
+    formats: {
+      type: 'object',
+      keys: (key) =>
+        key.toLowerCase() === 'ics' ||
+        Object.prototype.hasOwnProperty.call(RENDERERS, key.toLowerCase())
+          ? 'is a built-in format'
+          : null,
+      values: {
+        type: 'string',
+        check: (value) => (isTemplateFormat(value) ? null : 'must contain a {field}'),
+      },
+    },
+  },
+};
+const CONFIG_SCHEMA = {
+  ...PROFILE_CONFIG_SCHEMA,
+  properties: {
+    ...PROFILE_CONFIG_SCHEMA.properties,
+    profiles: { type: 'object', values: PROFILE_CONFIG_SCHEMA },
+  },
+};
+
+function normalizeTimeZone(rawValue) {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return null;
+  }
+  const input = String(rawValue).trim();
+  if (!input) {
+    return null;
+  }
+  const mapped =
+    WINDOWS_TIMEZONE_MAP[input] || IANA_TIMEZONE_ALIASES[input] || input;
+  try {
+    new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, { timeZone: mapped });
+  } catch (error) {
+    throw new Error(`Unsupported timeZone value: ${input}`);
+  }
+  return mapped;
 }
 
-function buildDate(year, month, day) {
-  const date = new Date(year, month - 1, day, 0, 0, 0, 0);
-  if (
-    Number.isNaN(date.getTime()) ||
-    date.getFullYear() !== year ||
-    date.getMonth() !== month - 1 ||
-    date.getDate() !== day
-  ) {
-    throw new Error(`Invalid date: ${day}.${month}.${year}`);
+function resolveEventTimeZone(event) {
+  const raw =
+    (event && event.start && event.start.tz) ||
+    (event && event.rrule && event.rrule.origOptions && event.rrule.origOptions.tzid) ||
+    (event && event.rrule && event.rrule.options && event.rrule.options.tzid) ||
+    (event && event.tz) ||
+    null;
+  if (!raw) {
+    return null;
   }
-  return date;
+  return isKnownTimeZone(raw) ? normalizeTimeZone(raw) : null;
 }
 
-function parseTimeOfDay(value) {
-  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
-  if (!match) {
-    throw new Error(`Invalid time value: ${value}`);
+function isKnownTimeZone(rawValue) {
+  try {
+    normalizeTimeZone(rawValue);
+    return true;
+  } catch {
+    return false;
   }
-  return {
-    hours: Number.parseInt(match[1], 10),
-    minutes: Number.parseInt(match[2], 10),
-  };
 }
 
-function withTime(date, time) {
-  return new Date(
-    date.getFullYear(),
-    date.getMonth(),
-    date.getDate(),
-    time.hours,
-    time.minutes,
-    0,
-    0,
-  );
+function isIanaTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-function pad2(value) {
-  return String(value).padStart(2, '0');
+function parseUtcOffsetMinutes(value) {
+  const match = /^([+-])(\d{2})(\d{2})/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const minutes = Number.parseInt(match[2], 10) * 60 + Number.parseInt(match[3], 10);
+  return match[1] === '-' ? -minutes : minutes;
 }
 
-function formatTime(date) {
-  return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+function parseVTimeZones(lines) {
+  const definitions = new Map();
+  let current = null;
+  let observance = null;
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1).trim();
+    if (line === 'BEGIN:VTIMEZONE') {
+      current = { tzid: null, observances: [] };
+    } else if (line === 'END:VTIMEZONE') {
+      if (current && current.tzid) {
+        definitions.set(current.tzid, current);
+      }
+      current = null;
+    } else if (current && (line === 'BEGIN:STANDARD' || line === 'BEGIN:DAYLIGHT')) {
+      observance = { offset: null, offsetFrom: null, start: null, rule: null };
+    } else if (current && (line === 'END:STANDARD' || line === 'END:DAYLIGHT')) {
+      if (observance && observance.offset !== null) {
+        current.observances.push(observance);
+      }
+      observance = null;
+    } else if (observance && name === 'TZOFFSETTO') {
+      observance.offset = parseUtcOffsetMinutes(value);
+    } else if (observance && name === 'TZOFFSETFROM') {
+      observance.offsetFrom = parseUtcOffsetMinutes(value);
+    } else if (observance && name === 'DTSTART') {
+      const match = /T(\d{2})(\d{2})/.exec(value);
+      observance.start = match
+        ? { hours: Number.parseInt(match[1], 10), minutes: Number.parseInt(match[2], 10) }
+        : { hours: 0, minutes: 0 };
+    } else if (observance && name === 'RRULE') {
+      observance.rule = Object.fromEntries(
+        value.split(';').map((part) => part.split('=').map((item) => item.toUpperCase())),
+      );
+    } else if (current && !observance && name === 'TZID') {
+      current.tzid = value;
+    }
+  }
+  return definitions;
 }
 
-function formatTimeInZone(date, timeZone) {
-  if (!timeZone) {
-    return formatTime(date);
+function getObservanceStart(observance, year) {
+  const month = Number.parseInt(observance.rule.BYMONTH, 10);
+  const dayMatch = /^([+-]?\d*)(MO|TU|WE|TH|FR|SA|SU)$/.exec(observance.rule.BYDAY || '');
+  if (!month || !dayMatch) {
+    return null;
   }
-  const parts = getTimeZoneParts(date, timeZone);
-  if (!parts) {
-    return formatTime(date);
+  const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(dayMatch[2]);
+  const nth = dayMatch[1] ? Number.parseInt(dayMatch[1], 10) : 1;
+  let day;
+  if (nth > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  } else {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const lastWeekday = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    day = lastDay - ((lastWeekday - weekday + 7) % 7) + (nth + 1) * 7;
   }
-  return `${pad2(parts.hour)}:${pad2(parts.minute)}`;
+  const { hours, minutes } = observance.start || { hours: 0, minutes: 0 };
+  const offsetFrom = observance.offsetFrom === null ? observance.offset : observance.offsetFrom;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - offsetFrom * 60 * 1000);
 }
 
-function formatDateLabel(date) {
-  return `${date.getDate()}.${date.getMonth() + 1}`;
+function getVTimeZoneOffset(definition, instant) {
+  const ruled = definition.observances.filter((observance) => observance.rule);
+  if (ruled.length === 0) {
+    return definition.observances[definition.observances.length - 1].offset;
+  }
+  let latest = null;
+  const year = instant.getUTCFullYear();
+  for (const candidateYear of [year - 1, year]) {
+    for (const observance of ruled) {
+      const start = getObservanceStart(observance, candidateYear);
+      if (start && start <= instant && (!latest || start > latest.start)) {
+        latest = { start, offset: observance.offset };
+      }
+    }
+  }
+  return latest ? latest.offset : ruled[0].offset;
 }
 
-function formatDateLabelInZone(date, timeZone) {
-  if (!timeZone) {
-    return formatDateLabel(date);
+function matchVTimeZone(definition) {
+  if (definition.observances.length === 0) {
+    return null;
   }
-  const parts = getTimeZoneParts(date, timeZone);
-  if (!parts) {
-    return formatDateLabel(date);
+  const year = new Date().getUTCFullYear();
+  const samples = [new Date(Date.UTC(year, 0, 15, 12)), new Date(Date.UTC(year, 6, 15, 12))];
+  const dayMs = 24 * 60 * 60 * 1000;
+  for (const observance of definition.observances) {
+    const start = observance.rule ? getObservanceStart(observance, year) : null;
+    if (start) {
+      samples.push(new Date(start.getTime() - 2 * dayMs), new Date(start.getTime() + 2 * dayMs));
+    }
   }
-  return `${parts.day}.${parts.month}`;
+  const expected = samples.map((sample) => getVTimeZoneOffset(definition, sample));
+  const candidates = new Set([
+    ...Object.values(WINDOWS_TIMEZONE_MAP),
+    ...Intl.supportedValuesOf('timeZone'),
+  ]);
+  for (const candidate of candidates) {
+    if (
+      isIanaTimeZone(candidate) &&
+      samples.every(
+        (sample, index) => getTimeZoneOffset(sample, candidate) / 60000 === expected[index],
+      )
+    ) {
+      return candidate;
+    }
+  }
+  return null;
 }
 
-function formatDateIsoInZone(date, timeZone) {
-  if (!timeZone) {
-    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+function resolveIcsTimeZones(text) {
+  const unfolded = String(text).replace(/\r?\n[ \t]/g, '');
+  const pattern = /TZID=("[^"]*"|[^;:\r\n]*)/g;
+  const names = new Set();
+  for (const match of unfolded.matchAll(pattern)) {
+    names.add(match[1].replace(/^"(.*)"$/, '$1'));
   }
-  const parts = getTimeZoneParts(date, timeZone);
-  if (!parts) {
-    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  const unknown = [...names].filter((name) => !isIanaTimeZone(name));
+  if (unknown.length === 0) {
+    return unfolded;
   }
-  return `${parts.year}-${pad2(parts.month)}-${pad2(parts.day)}`;
+  const definitions = parseVTimeZones(unfolded.split(/\r?\n/));
+  const replacements = new Map();
+  for (const name of unknown) {
+    const definition = definitions.get(name);
+    const resolved =
+      WINDOWS_TIMEZONE_MAP[name] ||
+      IANA_TIMEZONE_ALIASES[name] ||
+      (definition ? matchVTimeZone(definition) : null);
+    if (resolved) {
+      replacements.set(name, resolved);
+    }
+  }
+  return unfolded.replace(pattern, (match, raw) => {
+    const resolved = replacements.get(raw.replace(/^"(.*)"$/, '$1'));
+    return resolved ? `TZID=${resolved}` : match;
+  });
 }
 
-function normalizeTimeGridMinutes(rawValue) {
-  if (rawValue === undefined || rawValue === null || rawValue === '') {
-    return 30;
+function parseIcsText(text) {
+  return ical.sync.parseICS(resolveIcsTimeZones(text));
+}
+
+function getParsedCacheDir(configDir) {
+  return path.resolve(configDir || process.cwd(), '.cache', 'parsed');
+}
+
+function touchFile(filePath) {
+  const now = new Date();
+  try {
+    fs.utimesSync(filePath, now, now);
+  } catch {
+    // Ignore read-only caches; the file just ages out sooner.
   }
-  const parsed = Number.parseInt(rawValue, 10);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
-    throw new Error('timeGridMinutes must be a positive integer');
+}
+
+function readCalendarIndex(cachePath) {
+  try {
+    const index = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return isCalendarIndex(index) ? index : null;
+  } catch {
+    return null;
   }
-  return parsed;
 }
 
-function ceilToGrid(date, gridMinutes, timeZone) {
-  if (!timeZone) {
-    const aligned = new Date(date.getTime());
-    aligned.setSeconds(0, 0);
-    const minutes = aligned.getHours() * 60 + aligned.getMinutes();
-    const remainder = minutes % gridMinutes;
-    if (remainder === 0) {
-      return aligned;
+function writeCalendarIndex(cachePath, index) {
+  const cacheDir = path.dirname(cachePath);
+  const cutoff = Date.now() - PARSED_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    for (const name of fs.readdirSync(cacheDir)) {
+      const filePath = path.join(cacheDir, name);
+      if (name.endsWith('.json') && fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+      }
+    }
+    fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify(index));
+    fs.renameSync(`${cachePath}.tmp`, cachePath);
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+function loadCalendarIndex(text, cacheDir) {
+  if (!cacheDir) {
+    return buildCalendarIndex(parseIcsText(text));
+  }
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${CALENDAR_INDEX_VERSION}\n${getHostTimeZone()}\n`)
+    .update(text)
+    .digest('hex');
+  const cachePath = path.join(cacheDir, `${hash}.json`);
+  const cached = readCalendarIndex(cachePath);
+  if (cached) {
+    touchFile(cachePath);
+    return cached;
+  }
+  const index = buildCalendarIndex(parseIcsText(text));
+  writeCalendarIndex(cachePath, index);
+  return index;
+}
+
+function loadCalendarFile(filePath, cacheDir) {
+  return loadCalendarIndex(fs.readFileSync(filePath, 'utf8'), cacheDir);
+}
+
+function getSourceCacheDir(config) {
+  return config.icsUrl || config.icsFile ? getParsedCacheDir(config.configDir) : null;
+}
+
+function printTimeZoneWarnings() {
+  for (const name of unresolvedTimeZones) {
+    console.warn(
+      `Warning: could not resolve TZID "${name}"; events using it may be shifted or missing`,
+    );
+  }
+}
+
+function normalizeWeekdayKey(rawKey) {
+  if (!rawKey) {
+    return null;
+  }
+  const value = String(rawKey).trim().toUpperCase();
+  if (!value) {
+    return null;
+  }
+  if (value.length === 2) {
+    const map = {
+      MO: 'MON',
+      TU: 'TUE',
+      WE: 'WED',
+      TH: 'THU',
+      FR: 'FRI',
+      SA: 'SAT',
+      SU: 'SUN',
+    };
+    return map[value] || null;
+  }
+  if (value.startsWith('MON')) return 'MON';
+  if (value.startsWith('TUE')) return 'TUE';
+  if (value.startsWith('WED')) return 'WED';
+  if (value.startsWith('THU') || value.startsWith('THR')) return 'THU';
+  if (value.startsWith('FRI')) return 'FRI';
+  if (value.startsWith('SAT')) return 'SAT';
+  if (value.startsWith('SUN')) return 'SUN';
+  return null;
+}
+
+function getFormatter(timeZone) {
+  if (!timeZone) {
+    return null;
+  }
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }),
+    );
+  }
+  return formatterCache.get(timeZone);
+}
+
+function getWeekdayFormatter(timeZone) {
+  const key = timeZone || 'local';
+  if (!weekdayFormatterCache.has(key)) {
+    weekdayFormatterCache.set(
+      key,
+      new Intl.DateTimeFormat('en-US', { timeZone: timeZone || undefined, weekday: 'short' }),
+    );
+  }
+  return weekdayFormatterCache.get(key);
+}
+
+function isSupportedLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([String(locale).trim()]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeLocale(rawValue) {
+  if (isMissingValue(rawValue)) {
+    return null;
+  }
+  assertConfigValue(rawValue, CONFIG_SCHEMA.properties.locale, 'locale');
+  return String(rawValue).trim();
+}
+
+function getLocaleFormatter(locale, timeZone, options) {
+  const key = JSON.stringify([locale, timeZone || 'local', options]);
+  if (!localeFormatterCache.has(key)) {
+    localeFormatterCache.set(
+      key,
+      new Intl.DateTimeFormat(locale, { ...options, timeZone: timeZone || undefined }),
+    );
+  }
+  return localeFormatterCache.get(key);
+}
+
+function formatLocalTime(date, settings, timeZone = settings.timeZone) {
+  if (!settings.locale) {
+    return formatTimeInZone(date, timeZone);
+  }
+  return getLocaleFormatter(settings.locale, timeZone, { hour: 'numeric', minute: '2-digit' })
+    .format(date);
+}
+
+function formatLocalDateLabel(date, settings) {
+  if (!settings.locale) {
+    return formatDateLabelInZone(date, settings.timeZone);
+  }
+  const options = { day: 'numeric', month: 'numeric' };
+  return getLocaleFormatter(settings.locale, settings.timeZone, options).format(date);
+}
+
+function formatLocalWeekday(date, settings, length = 'short') {
+  return getLocaleFormatter(settings.locale || 'en-US', settings.timeZone, { weekday: length })
+    .format(date);
+}
+
+function formatLocalClock(time, settings) {
+  if (!settings.locale) {
+    return time;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  return getLocaleFormatter(settings.locale, 'UTC', { hour: 'numeric', minute: '2-digit' }).format(
+    Date.UTC(2000, 0, 1, hours, minutes),
+  );
+}
+
+function formatLocalLabel(entry, settings) {
+  if (!settings.locale) {
+    return entry.label;
+  }
+  const options = { day: 'numeric', month: 'numeric' };
+  return getLocaleFormatter(settings.locale, 'UTC', options).format(Date.parse(entry.date));
+}
+
+function formatLocalDayHeading(entry, settings) {
+  if (!settings.locale) {
+    return `${entry.weekday} ${entry.label}`;
+  }
+  const weekday = getLocaleFormatter(settings.locale, 'UTC', { weekday: 'short' }).format(
+    Date.parse(entry.date),
+  );
+  return `${weekday} ${formatLocalLabel(entry, settings)}`;
+}
+
+function localizeSlot(slot, settings) {
+  const localized = {
+    ...slot,
+    start: formatLocalClock(slot.start, settings),
+    end: formatLocalClock(slot.end, settings),
+  };
+  if (slot.zones) {
+    localized.zones = slot.zones.map((zone) => localizeSlot(zone, settings));
+  }
+  return localized;
+}
+
+function localizeResults(results, settings) {
+  if (!settings.locale) {
+    return results;
+  }
+  return results.map((dayResult) => {
+    const localized = {
+      ...dayResult,
+      label: formatLocalLabel(dayResult, settings),
+      slots: dayResult.slots.map((slot) => localizeSlot(slot, settings)),
+    };
+    for (const key of ['omitted', 'tentative']) {
+      if (dayResult[key]) {
+        localized[key] = dayResult[key].map((slot) => localizeSlot(slot, settings));
+      }
+    }
+    return localized;
+  });
+}
+
+function getWeekdayKey(date, timeZone) {
+  if (!timeZone) {
+    return WEEKDAY_KEYS[date.getDay()];
+  }
+  const formatter = getWeekdayFormatter(timeZone);
+  const label = formatter.format(date);
+  return normalizeWeekdayKey(label) || WEEKDAY_KEYS[date.getDay()];
+}
+
+function getTimeZoneParts(date, timeZone) {
+  const formatter = getFormatter(timeZone);
+  if (!formatter) {
+    return null;
+  }
+  const parts = formatter.formatToParts(date);
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') {
+      values[part.type] = part.value;
     }
-    aligned.setMinutes(aligned.getMinutes() + (gridMinutes - remainder));
-    return aligned;
   }
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+  };
+}
+
+function getTimeZoneOffset(date, timeZone) {
   const parts = getTimeZoneParts(date, timeZone);
   if (!parts) {
-    return ceilToGrid(date, gridMinutes, null);
+    return 0;
+  }
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return asUtc - date.getTime();
+}
+
+function makeDateInTimeZone(year, month, day, hour, minute, second, timeZone) {
+  const utcGuess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (!timeZone) {
+    return utcGuess;
+  }
+  const offset = getTimeZoneOffset(utcGuess, timeZone);
+  const candidate = new Date(utcGuess.getTime() - offset);
+  const correctedOffset = getTimeZoneOffset(candidate, timeZone);
+  if (correctedOffset === offset) {
+    return candidate;
+  }
+  return new Date(utcGuess.getTime() - correctedOffset);
+}
+
+function alignToEventWallTime(date, eventStart, timeZone) {
+  if (!timeZone || !(eventStart instanceof Date)) {
+    return date;
+  }
+  const baseParts = getTimeZoneParts(eventStart, timeZone);
+  const occurrenceParts = getTimeZoneParts(date, timeZone);
+  if (!baseParts || !occurrenceParts) {
+    return date;
+  }
+  return makeDateInTimeZone(
+    occurrenceParts.year,
+    occurrenceParts.month,
+    occurrenceParts.day,
+    baseParts.hour,
+    baseParts.minute,
+    baseParts.second,
+    timeZone,
+  );
+}
+
+function normalizeCacheMaxAgeMinutes(rawValue) {
+  return normalizeConfigNumber(
+    rawValue,
+    SOURCE_CONFIG_SCHEMA.cacheMaxAgeMinutes,
+    'cacheMaxAgeMinutes',
+    5,
+  );
+}
+
+function resolveCachePath(config) {
+  if (config.icsCacheFile) {
+    return path.resolve(config.configDir, config.icsCacheFile);
+  }
+  return path.resolve(config.configDir, '.cache', 'calendar.ics');
+}
+
+function isCacheFresh(filePath, maxAgeMinutes) {
+  try {
+    const stats = fs.statSync(filePath);
+    const ageMs = Date.now() - stats.mtimeMs;
+    return ageMs >= 0 && ageMs < maxAgeMinutes * 60 * 1000;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeFetchSettings(config) {
+  const read = (key, defaultValue) =>
+    normalizeConfigNumber(config[key], SOURCE_CONFIG_SCHEMA[key], key, defaultValue);
+  return {
+    timeoutMs: read('fetchTimeoutSeconds', 30) * 1000,
+    retries: read('fetchRetries', 2),
+    staleMaxHours: read('staleCacheMaxHours', 0),
+  };
+}
+
+function readCacheMeta(cachePath) {
+  try {
+    return JSON.parse(fs.readFileSync(`${cachePath}.meta.json`, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCacheMeta(cachePath, meta) {
+  fs.writeFileSync(`${cachePath}.meta.json`, `${JSON.stringify(meta, null, 2)}\n`);
+}
+
+function decodeResponse(res) {
+  const encoding = String(res.headers['content-encoding'] || '').toLowerCase();
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    return res.pipe(zlib.createGunzip());
+  }
+  if (encoding === 'deflate') {
+    return res.pipe(zlib.createInflate());
+  }
+  if (encoding === 'br') {
+    return res.pipe(zlib.createBrotliDecompress());
+  }
+  return res;
+}
+
+function readSecretEnv(variableName, key) {
+  if (!variableName) {
+    throw new Error(`${key} must name an environment variable`);
+  }
+  const value = process.env[variableName];
+  if (!value) {
+    throw new Error(`Environment variable ${variableName} (${key}) is not set`);
+  }
+  return value;
+}
+
+function buildRequestSettings(config) {
+  assertConfigValue(config.headers, SOURCE_CONFIG_SCHEMA.headers, 'headers');
+  assertConfigValue(config.auth, SOURCE_CONFIG_SCHEMA.auth, 'auth');
+  const headers = {};
+  if (config.headers) {
+    for (const [name, value] of Object.entries(config.headers)) {
+      headers[name] =
+        value && typeof value === 'object'
+          ? readSecretEnv(value.env, `headers.${name}.env`)
+          : String(value);
+    }
+  }
+  if (config.auth) {
+    const type = String(config.auth.type || '').toLowerCase();
+    if (type === 'basic') {
+      const username =
+        config.auth.username || readSecretEnv(config.auth.usernameEnv, 'auth.usernameEnv');
+      const password = readSecretEnv(config.auth.passwordEnv, 'auth.passwordEnv');
+      const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    } else {
+      headers.Authorization = `Bearer ${readSecretEnv(config.auth.tokenEnv, 'auth.tokenEnv')}`;
+    }
+  }
+  if (!config.caFile) {
+    return { headers, ca: undefined };
+  }
+  const caPath = path.resolve(config.configDir, config.caFile);
+  return { headers, ca: [...tls.rootCertificates, fs.readFileSync(caPath, 'utf8')] };
+}
+
+function normalizeFeedUrl(url) {
+  return String(url).replace(/^webcals?:\/\//i, 'https://');
+}
+
+function matchesNoProxy(hostname, noProxy) {
+  return String(noProxy || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === '*') {
+        return true;
+      }
+      const host = entry.replace(/^\*?\./, '').replace(/:\d+$/, '').toLowerCase();
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+function resolveProxy(target) {
+  const env = process.env;
+  if (matchesNoProxy(target.hostname.toLowerCase(), env.NO_PROXY || env.no_proxy)) {
+    return null;
+  }
+  const proxy =
+    target.protocol === 'https:'
+      ? env.HTTPS_PROXY || env.https_proxy
+      : env.HTTP_PROXY || env.http_proxy;
+  return proxy ? new URL(proxy) : null;
+}
+
+function getProxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return null;
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+function openProxyTunnel(proxy, target, timeoutMs) {
+  const port = target.port || 443;
+  const headers = { Host: `${target.hostname}:${port}` };
+  const proxyAuthorization = getProxyAuthorization(proxy);
+  if (proxyAuthorization) {
+    headers['Proxy-Authorization'] = proxyAuthorization;
+  }
+  return new Promise((resolve, reject) => {
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: `${target.hostname}:${port}`,
+      headers,
+    });
+    request.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        const error = new Error(`Proxy refused tunnel to ${target.host} (${res.statusCode})`);
+        error.retryable = res.statusCode >= 500;
+        reject(error);
+        return;
+      }
+      resolve(socket);
+    });
+    if (timeoutMs) {
+      request.setTimeout(timeoutMs, () => {
+        const error = new Error(`Timed out after ${timeoutMs / 1000}s connecting to proxy`);
+        error.retryable = true;
+        request.destroy(error);
+      });
+    }
+    request.on('error', (error) => {
+      if (error.retryable === undefined) {
+        error.retryable = true;
+      }
+      reject(error);
+    });
+    request.end();
+  });
+}
+
+async function downloadFile(url, filePath, options = {}, redirectCount = 0) {
+  if (redirectCount > 5) {
+    throw new Error('Too many redirects while downloading ICS');
+  }
+  const target = new URL(url);
+  const headers = { 'Accept-Encoding': 'gzip, deflate, br', ...options.headers };
+  const validators = options.validators || {};
+  if (validators.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+  const { client, requestUrl, requestOptions } = await prepareRequest(target, headers, options);
+  return new Promise((resolve, reject) => {
+    const request = client.get(requestUrl, requestOptions, (res) => {
+      const status = res.statusCode || 0;
+      if (status === 304) {
+        res.resume();
+        resolve({ modified: false, url });
+        return;
+      }
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        const next = new URL(res.headers.location, url);
+        const nextOptions = next.origin === target.origin ? options : { ...options, headers: {} };
+        downloadFile(next.toString(), filePath, nextOptions, redirectCount + 1)
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+      if (status < 200 || status >= 300) {
+        res.resume();
+        const error = new Error(`Failed to download ICS (${status})`);
+        error.retryable = status >= 500 || status === 408 || status === 429;
+        reject(error);
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      const fileStream = fs.createWriteStream(tempPath);
+      const body = decodeResponse(res);
+      const fail = (error) => {
+        res.resume();
+        fileStream.destroy();
+        try {
+          fs.unlinkSync(tempPath);
+        } catch {
+          // Ignore cleanup failures.
+        }
+        reject(error);
+      };
+      body.pipe(fileStream);
+      body.on('error', fail);
+      res.on('error', fail);
+      fileStream.on('finish', () => {
+        fileStream.close(() => {
+          fs.renameSync(tempPath, filePath);
+          resolve({
+            modified: true,
+            url,
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null,
+          });
+        });
+      });
+      fileStream.on('error', fail);
+    });
+    watchRequest(request, options.timeoutMs, reject);
+  });
+}
+
+async function prepareRequest(target, headers, options) {
+  const proxy = resolveProxy(target);
+  const requestOptions = { headers, ca: options.ca };
+  if (proxy && target.protocol === 'https:') {
+    const socket = await openProxyTunnel(proxy, target, options.timeoutMs);
+    requestOptions.createConnection = () =>
+      tls.connect({ socket, servername: target.hostname, ca: options.ca });
+    return { client: https, requestUrl: target, requestOptions };
+  }
+  if (proxy) {
+    requestOptions.path = target.href;
+    headers.Host = target.host;
+    const proxyAuthorization = getProxyAuthorization(proxy);
+    if (proxyAuthorization) {
+      headers['Proxy-Authorization'] = proxyAuthorization;
+    }
+    const client = proxy.protocol === 'https:' ? https : http;
+    return { client, requestUrl: proxy, requestOptions };
+  }
+  const client = target.protocol === 'https:' ? https : http;
+  return { client, requestUrl: target, requestOptions };
+}
+
+function watchRequest(request, timeoutMs, reject) {
+  if (timeoutMs) {
+    request.setTimeout(timeoutMs, () => {
+      const error = new Error(`Timed out after ${timeoutMs / 1000}s waiting for ${request.host}`);
+      error.retryable = true;
+      request.destroy(error);
+    });
+  }
+  request.on('error', (error) => {
+    if (error.retryable === undefined) {
+      error.retryable = true;
+    }
+    reject(error);
+  });
+}
+
+async function requestText(url, options = {}) {
+  const target = new URL(url);
+  const headers = { 'Accept-Encoding': 'gzip, deflate, br', ...options.headers };
+  const { client, requestUrl, requestOptions } = await prepareRequest(target, headers, options);
+  requestOptions.method = options.method || 'GET';
+  return new Promise((resolve, reject) => {
+    const request = client.request(requestUrl, requestOptions, (res) => {
+      const chunks = [];
+      const body = decodeResponse(res);
+      body.on('data', (chunk) => chunks.push(chunk));
+      body.on('error', reject);
+      body.on('end', () => {
+        resolve({
+          status: res.statusCode || 0,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+        });
+      });
+    });
+    watchRequest(request, options.timeoutMs, reject);
+    request.end(options.body);
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function withRetry(operation, retries) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+      await delay(1000 * 2 ** attempt);
+    }
+  }
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 120) {
+    return `${minutes} min`;
+  }
+  return `${Math.round(minutes / 60)} h`;
+}
+
+async function ensureCachedIcs(config) {
+  const cachePath = resolveCachePath(config);
+  const maxAgeMinutes = normalizeCacheMaxAgeMinutes(config.cacheMaxAgeMinutes);
+  if (isCacheFresh(cachePath, maxAgeMinutes)) {
+    return cachePath;
+  }
+  const fetchSettings = normalizeFetchSettings(config);
+  const cacheExists = fs.existsSync(cachePath);
+  const meta = cacheExists ? readCacheMeta(cachePath) : null;
+  const validators = meta && meta.url === config.icsUrl ? meta : null;
+  try {
+    const result = await withRetry(
+      () =>
+        downloadFile(normalizeFeedUrl(config.icsUrl), cachePath, {
+          ...fetchSettings,
+          ...buildRequestSettings(config),
+          validators,
+        }),
+      fetchSettings.retries,
+    );
+    const now = new Date();
+    if (result.modified) {
+      writeCacheMeta(cachePath, {
+        url: config.icsUrl,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        fetchedAt: now.toISOString(),
+      });
+    } else {
+      touchFile(cachePath);
+    }
+  } catch (error) {
+    const ageMs = cacheExists ? Date.now() - fs.statSync(cachePath).mtimeMs : Infinity;
+    if (ageMs > fetchSettings.staleMaxHours * 60 * 60 * 1000) {
+      throw error;
+    }
+    console.warn(
+      `Warning: could not refresh ${config.icsUrl} (${error.message}); ` +
+        `using cached copy from ${formatAge(ageMs)} ago (${cachePath})`,
+    );
+  }
+  return cachePath;
+}
+
+function decodeXmlText(value) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(value);
+  if (cdata) {
+    return cdata[1];
+  }
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(Number.parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number.parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function extractCalendarData(xml) {
+  const pattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  return [...String(xml).matchAll(pattern)].map((match) => decodeXmlText(match[1]));
+}
+
+function parseIcsDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    value,
+  );
+  if (!match) {
+    return null;
+  }
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(2)
+    .map((part) => Number.parseInt(part || '0', 10));
+  const totalMs = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === '-' ? -totalMs : totalMs;
+}
+
+function parseIcsUtcDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second] = match
+    .slice(1)
+    .map((part) => Number.parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+function freeBusyToCalendarText(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const output = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//outlook-free-time//EN'];
+  let index = 0;
+  for (const line of lines) {
+    const match = /^FREEBUSY((?:;[^:]*)?):(.*)$/i.exec(line);
+    if (!match) {
+      continue;
+    }
+    const fbTypeMatch = /;FBTYPE=([^;]+)/i.exec(match[1]);
+    const fbType = fbTypeMatch ? fbTypeMatch[1].toUpperCase() : 'BUSY';
+    if (fbType === 'FREE') {
+      continue;
+    }
+    for (const period of match[2].split(',')) {
+      const [startText, endText] = period.trim().split('/');
+      const start = parseIcsUtcDateTime(startText);
+      if (!start) {
+        continue;
+      }
+      const durationMs = endText && endText.includes('P') ? parseIcsDuration(endText) : null;
+      const end =
+        durationMs !== null ? new Date(start.getTime() + durationMs) : parseIcsUtcDateTime(endText);
+      if (!end || end <= start) {
+        continue;
+      }
+      index += 1;
+      output.push(
+        'BEGIN:VEVENT',
+        `UID:freebusy-${index}@outlook-free-time`,
+        `DTSTART:${formatIcsDateTimeUtc(start)}`,
+        `DTEND:${formatIcsDateTimeUtc(end)}`,
+        `SUMMARY:${fbType === 'BUSY-TENTATIVE' ? 'Tentative' : 'Busy'}`,
+      );
+      if (fbType === 'BUSY-TENTATIVE') {
+        output.push('STATUS:TENTATIVE');
+      } else if (fbType === 'BUSY-UNAVAILABLE') {
+        output.push('X-MICROSOFT-CDO-BUSYSTATUS:OOF');
+      }
+      output.push('END:VEVENT');
+    }
+  }
+  output.push('END:VCALENDAR');
+  return serializeIcs(output);
+}
+
+function buildCalDavQuery(mode, rangeStart, rangeEnd) {
+  const timeRange =
+    `<c:time-range start="${formatIcsDateTimeUtc(rangeStart)}" ` +
+    `end="${formatIcsDateTimeUtc(rangeEnd)}"/>`;
+  if (mode === 'freebusy') {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<c:free-busy-query xmlns:c="urn:ietf:params:xml:ns:caldav">',
+      `  ${timeRange}`,
+      '</c:free-busy-query>',
+    ].join('\n');
+  }
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    '  <d:prop><c:calendar-data/></d:prop>',
+    '  <c:filter>',
+    '    <c:comp-filter name="VCALENDAR">',
+    `      <c:comp-filter name="VEVENT">${timeRange}</c:comp-filter>`,
+    '    </c:comp-filter>',
+    '  </c:filter>',
+    '</c:calendar-query>',
+  ].join('\n');
+}
+
+async function sendCalDavReport(config, mode, rangeStart, rangeEnd) {
+  const fetchSettings = normalizeFetchSettings(config);
+  const requestSettings = buildRequestSettings(config);
+  return withRetry(async () => {
+    const result = await requestText(normalizeFeedUrl(config.caldavUrl), {
+      ...fetchSettings,
+      ca: requestSettings.ca,
+      method: 'REPORT',
+      headers: {
+        ...requestSettings.headers,
+        Depth: '1',
+        'Content-Type': 'application/xml; charset=utf-8',
+      },
+      body: buildCalDavQuery(mode, rangeStart, rangeEnd),
+    });
+    const status = result.status;
+    if ((status >= 500 && status !== 501) || status === 408 || status === 429) {
+      const error = new Error(`CalDAV ${mode} query failed (${result.status})`);
+      error.retryable = true;
+      throw error;
+    }
+    return result;
+  }, fetchSettings.retries);
+}
+
+async function loadCalDavCalendar(config, rangeStart, rangeEnd) {
+  assertConfigValue(config.caldavMode, SOURCE_CONFIG_SCHEMA.caldavMode, 'caldavMode');
+  const mode = String(config.caldavMode || 'events').trim().toLowerCase();
+  if (mode === 'freebusy') {
+    const response = await sendCalDavReport(config, 'freebusy', rangeStart, rangeEnd);
+    if (response.status >= 200 && response.status < 300) {
+      return parseIcsText(freeBusyToCalendarText(response.body));
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`CalDAV freebusy query failed (${response.status})`);
+    }
+  }
+  const response = await sendCalDavReport(config, 'events', rangeStart, rangeEnd);
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`CalDAV events query failed (${response.status})`);
+  }
+  const calendarData = {};
+  for (const text of extractCalendarData(response.body)) {
+    Object.assign(calendarData, parseIcsText(text));
+  }
+  return calendarData;
+}
+
+function parseDateInput(input, timeZone) {
+  const value = String(input || '').trim();
+  if (!value) {
+    throw new Error('Date value is required');
+  }
+  const absoluteDate = parseAbsoluteDate(value, timeZone);
+  if (absoluteDate) {
+    return absoluteDate;
+  }
+
+  const relativeDate = parseRelativeDate(value, timeZone);
+  if (relativeDate) {
+    return relativeDate;
+  }
+
+  throw new Error(`Unsupported date format: ${value}`);
+}
+
+function parseConfigDate(input) {
+  const value = String(input || '').trim();
+  const date = parseAbsoluteDate(value, null);
+  if (!date) {
+    throw new Error(`Unsupported date format: ${value} (use YYYY-MM-DD, D.M or D.M.YYYY)`);
+  }
+  return date;
+}
+
+function parseAbsoluteDate(value, timeZone) {
+  const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (isoMatch) {
+    const year = Number.parseInt(isoMatch[1], 10);
+    const month = Number.parseInt(isoMatch[2], 10);
+    const day = Number.parseInt(isoMatch[3], 10);
+    return buildDate(year, month, day);
+  }
+
+  const dotMatch = /^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/.exec(value);
+  if (dotMatch) {
+    const day = Number.parseInt(dotMatch[1], 10);
+    const month = Number.parseInt(dotMatch[2], 10);
+    const year = dotMatch[3]
+      ? Number.parseInt(dotMatch[3], 10)
+      : getTodayInZone(timeZone).getFullYear();
+    return buildDate(year, month, day);
+  }
+  return null;
+}
+
+function getTodayInZone(timeZone) {
+  const now = new Date();
+  const parts = getTimeZoneParts(now, timeZone);
+  if (!parts) {
+    return buildDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+  }
+  return buildDate(parts.year, parts.month, parts.day);
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function getWeekStart(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function parseWeekdayName(value) {
+  const index = WEEKDAY_NAMES.findIndex(
+    (name) => value === name || value === name.slice(0, 3) || value === name.slice(0, 2),
+  );
+  return index === -1 ? null : WEEKDAY_KEYS[index];
+}
+
+function parseRelativeDate(value, timeZone) {
+  const lower = value.toLowerCase();
+  const today = getTodayInZone(timeZone);
+  if (lower === 'today') {
+    return today;
+  }
+  if (lower === 'tomorrow') {
+    return addDays(today, 1);
+  }
+  if (lower === 'yesterday') {
+    return addDays(today, -1);
+  }
+
+  const offsetMatch = /^([+-])(\d+)([dw])$/.exec(lower);
+  if (offsetMatch) {
+    const amount = Number.parseInt(offsetMatch[2], 10) * (offsetMatch[3] === 'w' ? 7 : 1);
+    return addDays(today, offsetMatch[1] === '-' ? -amount : amount);
+  }
+
+  const weekdayMatch = /^(next\s+)?([a-z]+)$/.exec(lower);
+  const weekdayKey = weekdayMatch ? parseWeekdayName(weekdayMatch[2]) : null;
+  if (weekdayKey) {
+    const weekdayIndex = (WEEKDAY_KEYS.indexOf(weekdayKey) + 6) % 7;
+    if (weekdayMatch[1]) {
+      return addDays(getWeekStart(today), 7 + weekdayIndex);
+    }
+    return addDays(today, (weekdayIndex - ((today.getDay() + 6) % 7) + 7) % 7);
+  }
+  return null;
+}
+
+function parseIsoWeek(value) {
+  const match = /^(\d{4})-?W(\d{1,2})$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const year = Number.parseInt(match[1], 10);
+  const week = Number.parseInt(match[2], 10);
+  const start = addDays(getWeekStart(buildDate(year, 1, 4)), (week - 1) * 7);
+  if (week < 1 || addDays(start, 3).getFullYear() !== year) {
+    throw new Error(`Invalid ISO week: ${value}`);
+  }
+  return { start, end: addDays(start, 6) };
+}
+
+function parseDateSpan(input, timeZone) {
+  const value = String(input || '').trim();
+  const week = parseIsoWeek(value);
+  if (week) {
+    return week;
+  }
+  const date = parseDateInput(value, timeZone);
+  return { start: date, end: date };
+}
+
+function resolveNamedRange(name, settings) {
+  const value = String(name || '').trim().toLowerCase();
+  const today = getTodayInZone(settings.timeZone);
+  if (value === 'this-week') {
+    return { start: today, end: addDays(getWeekStart(today), 6) };
+  }
+  if (value === 'next-week') {
+    const start = addDays(getWeekStart(today), 7);
+    return { start, end: addDays(start, 6) };
+  }
+  const daysMatch = /^next-(\d+)-(days|workdays)$/.exec(value);
+  if (!daysMatch || Number.parseInt(daysMatch[1], 10) <= 0) {
+    throw new Error(
+      `Unknown range: ${name} (use this-week, next-week, next-N-days or next-N-workdays)`,
+    );
+  }
+  const count = Number.parseInt(daysMatch[1], 10);
+  if (daysMatch[2] === 'days') {
+    return { start: today, end: addDays(today, count - 1) };
+  }
+  const configuredWeekdays = settings.nonWorkingDays ? settings.nonWorkingDays.weekdays : null;
+  const weekend = configuredWeekdays && configuredWeekdays.size > 0 ? [] : ['SAT', 'SUN'];
+  const workdays = planDays(today, addDays(today, count * 2 + 30), settings)
+    .filter((plan) => !plan.skipped && !weekend.includes(plan.weekdayKey))
+    .slice(0, count);
+  if (workdays.length < count) {
+    throw new Error(`Could not find ${count} workdays for range ${name}`);
+  }
+  return { start: workdays[0].day, end: workdays[workdays.length - 1].day };
+}
+
+function resolveDateRange(input, settings) {
+  if (input.range) {
+    if (input.start || input.end) {
+      throw new Error('--range cannot be combined with --start or --end');
+    }
+    const range = resolveNamedRange(input.range, settings);
+    return { startDate: range.start, endDate: range.end };
+  }
+  const start = parseDateSpan(input.start, settings.timeZone);
+  const end = input.end ? parseDateSpan(input.end, settings.timeZone) : start;
+  if (start.start > end.end) {
+    throw new Error('Start date must be before or equal to end date');
+  }
+  return { startDate: start.start, endDate: end.end };
+}
+
+function buildDate(year, month, day) {
+  const date = new Date(year, month - 1, day, 0, 0, 0, 0);
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.getFullYear() !== year ||
+    date.getMonth() !== month - 1 ||
+    date.getDate() !== day
+  ) {
+    throw new Error(`Invalid date: ${day}.${month}.${year}`);
+  }
+  return date;
+}
+
+function parseDateTimeInput(input, timeZone) {
+  const value = String(input || '').trim();
+  const match = /^(\S+?)(?:T|\s+)(\d{1,2}:\d{2})$/.exec(value);
+  if (!match) {
+    throw new Error(`Unsupported date-time format: ${value}`);
+  }
+  return { date: parseDateInput(match[1], timeZone), time: parseTimeOfDay(match[2]) };
+}
+
+function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`Invalid time value: ${value}`);
+  }
+  return {
+    hours: Number.parseInt(match[1], 10),
+    minutes: Number.parseInt(match[2], 10),
+  };
+}
+
+function withTime(date, time) {
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    time.hours,
+    time.minutes,
+    0,
+    0,
+  );
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatTime(date) {
+  return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function formatTimeInZone(date, timeZone) {
+  if (!timeZone) {
+    return formatTime(date);
+  }
+  const parts = getTimeZoneParts(date, timeZone);
+  if (!parts) {
+    return formatTime(date);
+  }
+  return `${pad2(parts.hour)}:${pad2(parts.minute)}`;
+}
+
+function formatDateLabel(date) {
+  return `${date.getDate()}.${date.getMonth() + 1}`;
+}
+
+function formatDateLabelInZone(date, timeZone) {
+  if (!timeZone) {
+    return formatDateLabel(date);
+  }
+  const parts = getTimeZoneParts(date, timeZone);
+  if (!parts) {
+    return formatDateLabel(date);
+  }
+  return `${parts.day}.${parts.month}`;
+}
+
+function formatDateIsoInZone(date, timeZone) {
+  if (!timeZone) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  }
+  const parts = getTimeZoneParts(date, timeZone);
+  if (!parts) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  }
+  return `${parts.year}-${pad2(parts.month)}-${pad2(parts.day)}`;
+}
+
+function normalizeTimeGridMinutes(rawValue) {
+  return normalizeConfigNumber(
+    rawValue,
+    CONFIG_SCHEMA.properties.timeGridMinutes,
+    'timeGridMinutes',
+    30,
+  );
+}
+
+function ceilToGrid(date, gridMinutes, timeZone) {
+  if (!timeZone) {
+    const aligned = new Date(date.getTime());
+    aligned.setSeconds(0, 0);
+    const minutes = aligned.getHours() * 60 + aligned.getMinutes();
+    const remainder = minutes % gridMinutes;
+    if (remainder === 0) {
+      return aligned;
+    }
+    aligned.setMinutes(aligned.getMinutes() + (gridMinutes - remainder));
+    return aligned;
+  }
+  const parts = getTimeZoneParts(date, timeZone);
+  if (!parts) {
+    return ceilToGrid(date, gridMinutes, null);
+  }
+  const minutes = parts.hour * 60 + parts.minute;
+  const remainder = minutes % gridMinutes;
+  const delta = remainder === 0 ? 0 : gridMinutes - remainder;
+  return makeDateInTimeZone(
+    parts.year,
+    parts.month,
+    parts.day,
+    0,
+    minutes + delta,
+    0,
+    timeZone,
+  );
+}
+
+function floorToGrid(date, gridMinutes, timeZone) {
+  if (!timeZone) {
+    const aligned = new Date(date.getTime());
+    aligned.setSeconds(0, 0);
+    const minutes = aligned.getHours() * 60 + aligned.getMinutes();
+    const remainder = minutes % gridMinutes;
+    if (remainder === 0) {
+      return aligned;
+    }
+    aligned.setMinutes(aligned.getMinutes() - remainder);
+    return aligned;
+  }
+  const parts = getTimeZoneParts(date, timeZone);
+  if (!parts) {
+    return floorToGrid(date, gridMinutes, null);
+  }
+  const minutes = parts.hour * 60 + parts.minute;
+  const remainder = minutes % gridMinutes;
+  return makeDateInTimeZone(
+    parts.year,
+    parts.month,
+    parts.day,
+    0,
+    minutes - remainder,
+    0,
+    timeZone,
+  );
+}
+
+function withTimeInZone(day, time, timeZone) {
+  if (!timeZone) {
+    return withTime(day, time);
+  }
+  return makeDateInTimeZone(
+    day.getFullYear(),
+    day.getMonth() + 1,
+    day.getDate(),
+    time.hours,
+    time.minutes,
+    0,
+    timeZone,
+  );
+}
+
+function isSameDay(left, right) {
+  return (
+    left.getFullYear() === right.getFullYear() &&
+    left.getMonth() === right.getMonth() &&
+    left.getDate() === right.getDate()
+  );
+}
+
+function* iterateDays(startDate, endDate) {
+  const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  while (cursor <= last) {
+    yield new Date(cursor);
+    cursor.setDate(cursor.getDate() + 1);
+  }
+}
+
+function resolveCalendarSources(config) {
+  if (config.calendars === undefined || config.calendars === null) {
+    return [
+      {
+        name: null,
+        icsUrl: config.icsUrl,
+        icsFile: config.icsFile,
+        icsStdin: config.icsStdin,
+        caldavUrl: config.caldavUrl,
+        caldavMode: config.caldavMode,
+        icsCacheFile: config.icsCacheFile,
+        cacheMaxAgeMinutes: config.cacheMaxAgeMinutes,
+        ...pickFetchConfig(config),
+        ignoreSummaries: config.ignoreSummaries,
+        availability: config.availability,
+        buffers: pickBufferConfig(config),
+        configDir: config.configDir,
+      },
+    ];
+  }
+  assertConfigValue(config.calendars, CONFIG_SCHEMA.properties.calendars, 'calendars');
+  return config.calendars.map((item) => {
+    const name = String(item.name).trim();
+    const globalIgnore = config.ignoreSummaries ? [].concat(config.ignoreSummaries) : [];
+    const localIgnore = item.ignoreSummaries ? [].concat(item.ignoreSummaries) : [];
+    const fileSafeName = name.replace(/[^\w.-]+/g, '_');
+    return {
+      name,
+      icsUrl: item.icsUrl,
+      icsFile: item.icsFile,
+      caldavUrl: item.caldavUrl,
+      caldavMode: item.caldavMode,
+      icsCacheFile: item.icsCacheFile || path.join('.cache', `${fileSafeName}.ics`),
+      cacheMaxAgeMinutes:
+        item.cacheMaxAgeMinutes !== undefined
+          ? item.cacheMaxAgeMinutes
+          : config.cacheMaxAgeMinutes,
+      ...pickFetchConfig(config),
+      ...pickFetchConfig(item),
+      ignoreSummaries: globalIgnore.concat(localIgnore),
+      availability: { ...config.availability, ...item.availability },
+      buffers: { ...pickBufferConfig(config), ...pickBufferConfig(item) },
+      schedule: pickScheduleConfig(item),
+      loadLimits: normalizeLoadLimits({ ...config, ...pickLoadLimitConfig(item) }),
+      required: item.required === true,
+      configDir: config.configDir,
+    };
+  });
+}
+
+function pickBufferConfig(config) {
+  const picked = {};
+  for (const key of ['bufferBeforeMinutes', 'bufferAfterMinutes', 'bufferRules']) {
+    if (config[key] !== undefined) {
+      picked[key] = config[key];
+    }
+  }
+  return picked;
+}
+
+function pickLoadLimitConfig(config) {
+  const picked = {};
+  for (const key of Object.keys(LOAD_LIMIT_CONFIG_SCHEMA)) {
+    if (config[key] !== undefined) {
+      picked[key] = config[key];
+    }
+  }
+  return picked;
+}
+
+function pickFetchConfig(config) {
+  const picked = {};
+  const keys = [
+    'fetchTimeoutSeconds',
+    'fetchRetries',
+    'staleCacheMaxHours',
+    'headers',
+    'auth',
+    'caFile',
+  ];
+  for (const key of keys) {
+    if (config[key] !== undefined) {
+      picked[key] = config[key];
+    }
+  }
+  return picked;
+}
+
+function pickScheduleConfig(item) {
+  const picked = {};
+  for (const key of ['timeZone', 'workDayStart', 'workDayEnd', 'workingHours']) {
+    if (item[key] !== undefined) {
+      picked[key] = item[key];
+    }
+  }
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+function selectCalendarSources(sources, participants) {
+  if (!participants || participants.length === 0) {
+    return sources;
+  }
+  const byName = new Map(
+    sources
+      .filter((source) => source.name)
+      .map((source) => [source.name.toLowerCase(), source]),
+  );
+  const selected = [];
+  for (const participant of participants) {
+    const source = byName.get(participant.toLowerCase());
+    if (!source) {
+      const available = Array.from(byName.values()).map((item) => item.name);
+      throw new Error(
+        available.length > 0
+          ? `Unknown participant: ${participant} (available: ${available.join(', ')})`
+          : '--participants requires calendars in config.json',
+      );
+    }
+    if (!selected.includes(source)) {
+      selected.push(source);
+    }
+  }
+  return selected;
+}
+
+async function resolveCalendarFile(config) {
+  if (config.icsFile) {
+    return path.resolve(config.configDir, config.icsFile);
+  }
+  if (config.icsUrl) {
+    return ensureCachedIcs(config);
+  }
+  throw new Error('config.json must include icsUrl, icsFile or caldavUrl');
+}
+
+function readStdinCalendar() {
+  if (stdinCalendarText === null) {
+    stdinCalendarText = fs.readFileSync(0, 'utf8');
+  }
+  return stdinCalendarText;
+}
+
+async function loadCalendar(config, rangeStart, rangeEnd) {
+  if (config.icsStdin) {
+    return loadCalendarIndex(readStdinCalendar(), null);
+  }
+  if (config.caldavUrl) {
+    return buildCalendarIndex(await loadCalDavCalendar(config, rangeStart, rangeEnd));
+  }
+  const filePath = await resolveCalendarFile(config);
+  return loadCalendarFile(filePath, getSourceCacheDir(config));
+}
+
+function createCalendarStore() {
+  const parsed = new Map();
+  const pending = new Map();
+
+  async function refresh(source) {
+    const filePath = await resolveCalendarFile(source);
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = parsed.get(source);
+    if (cached && cached.filePath === filePath && cached.mtimeMs === mtimeMs) {
+      return cached.data;
+    }
+    const data = loadCalendarFile(filePath, getSourceCacheDir(source));
+    parsed.set(source, { filePath, mtimeMs, data });
+    return data;
+  }
+
+  return {
+    load(source, rangeStart, rangeEnd) {
+      if (source.caldavUrl) {
+        return loadCalDavCalendar(source, rangeStart, rangeEnd).then(buildCalendarIndex);
+      }
+      if (!pending.has(source)) {
+        pending.set(source, refresh(source).finally(() => pending.delete(source)));
+      }
+      return pending.get(source);
+    },
+  };
+}
+
+async function loadSourceInstances(sources, rangeStart, rangeEnd, load = loadCalendar) {
+  const instances = [];
+  unresolvedTimeZones.clear();
+  for (const source of sources) {
+    const index = toCalendarIndex(await load(source, rangeStart, rangeEnd));
+    index.unresolvedTimeZones.forEach((name) => unresolvedTimeZones.add(name));
+    instances.push(
+      ...collectEventInstances(index, rangeStart, rangeEnd, {
+        ignoreSummaries: normalizeIgnoreSummaries(source.ignoreSummaries),
+        availability: normalizeAvailabilityPolicy(source.availability),
+        buffers: normalizeBufferSettings(source.buffers),
+        calendar: source.name,
+      }),
+    );
+  }
+  return instances;
+}
+
+function addOccurrenceKey(map, date, value) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return;
+  }
+  map[date.getTime()] = value;
+  if (date.dateOnly) {
+    map[toIsoDate(date)] = value;
+  }
+}
+
+function findOccurrence(map, dates, dateOnly) {
+  const keys = dates
+    .map((date) => String(date.getTime()))
+    .concat(dateOnly ? dates.map(toIsoDate) : []);
+  for (const key of keys) {
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      return map[key];
+    }
+  }
+  return undefined;
+}
+
+function extractRDates(event) {
+  const rdate = event.rdate;
+  if (!rdate) {
+    return [];
+  }
+  const dates = [];
+  const pushDate = (value) => {
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      dates.push(value);
+    }
+  };
+
+  if (Array.isArray(rdate)) {
+    for (const value of rdate) {
+      if (Array.isArray(value)) {
+        for (const nested of value) {
+          pushDate(nested);
+        }
+      } else {
+        pushDate(value);
+      }
+    }
+  } else if (typeof rdate === 'object') {
+    for (const value of Object.values(rdate)) {
+      if (Array.isArray(value)) {
+        for (const nested of value) {
+          pushDate(nested);
+        }
+      } else {
+        pushDate(value);
+      }
+    }
+  } else {
+    pushDate(rdate);
+  }
+
+  return dates;
+}
+
+function getEventDurationMs(event) {
+  if (event.start instanceof Date && event.end instanceof Date) {
+    return event.end.getTime() - event.start.getTime();
+  }
+  if (event.duration && typeof event.duration.asMilliseconds === 'function') {
+    return event.duration.asMilliseconds();
+  }
+  if (event.duration && typeof event.duration.toSeconds === 'function') {
+    return event.duration.toSeconds() * 1000;
+  }
+  return 0;
+}
+
+function resolveEventTime(event) {
+  if (!event || !(event.start instanceof Date) || Number.isNaN(event.start.getTime())) {
+    return null;
+  }
+  let end = event.end instanceof Date ? event.end : null;
+  if (!end || Number.isNaN(end.getTime())) {
+    const durationMs = getEventDurationMs(event);
+    if (Number.isFinite(durationMs) && durationMs > 0) {
+      end = new Date(event.start.getTime() + durationMs);
+    }
+  }
+  if (!end || Number.isNaN(end.getTime())) {
+    return null;
+  }
+  return { start: event.start, end };
+}
+
+function getEventLabel(event) {
+  return event.summary || event.description || event.uid || 'Busy';
+}
+
+function normalizeIgnoreSummaries(rawIgnore) {
+  const defaults = ['vapaa'];
+  if (!rawIgnore) {
+    return new Set(defaults);
+  }
+  const items = Array.isArray(rawIgnore) ? rawIgnore : [rawIgnore];
+  const normalized = defaults.slice();
+  for (const item of items) {
+    const value = String(item || '').trim().toLowerCase();
+    if (value) {
+      normalized.push(value);
+    }
+  }
+  return new Set(normalized);
+}
+
+function normalizeAvailabilityPolicy(rawPolicy) {
+  assertConfigValue(rawPolicy, SOURCE_CONFIG_SCHEMA.availability, 'availability');
+  const policy = { ...DEFAULT_AVAILABILITY_POLICY };
+  for (const [key, rawValue] of Object.entries(rawPolicy || {})) {
+    if (!isMissingValue(rawValue)) {
+      policy[key] = String(rawValue).trim().toLowerCase();
+    }
+  }
+  return policy;
+}
+
+function getPropertyValue(value) {
+  if (value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, 'val')) {
+    return value.val;
+  }
+  return value;
+}
+
+function getEventAvailability(event) {
+  const busyStatus = String(getPropertyValue(event['MICROSOFT-CDO-BUSYSTATUS']) || '')
+    .trim()
+    .toUpperCase();
+  if (CDO_BUSY_STATUS_MAP[busyStatus]) {
+    return CDO_BUSY_STATUS_MAP[busyStatus];
+  }
+  if (String(event.status || '').toUpperCase() === 'TENTATIVE') {
+    return 'tentative';
+  }
+  const transparency = String(getPropertyValue(event.transparency) || '').toUpperCase();
+  if (transparency === 'TRANSPARENT') {
+    return 'free';
+  }
+  return 'busy';
+}
+
+function normalizeMatchList(rawValue) {
+  if (rawValue === undefined || rawValue === null) {
+    return [];
+  }
+  const items = Array.isArray(rawValue) ? rawValue : [rawValue];
+  return items.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean);
+}
+
+function normalizeBufferSettings(rawBuffers) {
+  const buffers = rawBuffers || {};
+  const read = (key) =>
+    normalizeConfigNumber(buffers[key], SOURCE_CONFIG_SCHEMA[key], key, 0);
+  const before = read('bufferBeforeMinutes');
+  const after = read('bufferAfterMinutes');
+  assertConfigValue(buffers.bufferRules, SOURCE_CONFIG_SCHEMA.bufferRules, 'bufferRules');
+  const rules = (buffers.bufferRules || []).map((rule) => ({
+    location: normalizeMatchList(rule.location),
+    summary: normalizeMatchList(rule.summary),
+    before: rule.before === undefined ? before : Number(rule.before || 0),
+    after: rule.after === undefined ? after : Number(rule.after || 0),
+  }));
+  return { before, after, rules };
+}
+
+function matchesAny(value, needles) {
+  const haystack = String(value || '').toLowerCase();
+  return needles.some((needle) => haystack.includes(needle));
+}
+
+function resolveEventBuffers(summary, location, buffers) {
+  for (const rule of buffers.rules) {
+    if (rule.location.length > 0 && !matchesAny(location, rule.location)) {
+      continue;
+    }
+    if (rule.summary.length > 0 && !matchesAny(summary, rule.summary)) {
+      continue;
+    }
+    return { before: rule.before, after: rule.after };
+  }
+  return { before: buffers.before, after: buffers.after };
+}
+
+function getFreeBusyType(availability, treatment) {
+  if (treatment === 'soft') {
+    return 'BUSY-TENTATIVE';
+  }
+  return availability === 'oof' ? 'BUSY-UNAVAILABLE' : 'BUSY';
+}
+
+function isIgnoredSummary(summary, ignoreSummaries) {
+  if (!ignoreSummaries || ignoreSummaries.size === 0) {
+    return false;
+  }
+  const value = String(summary || '').trim().toLowerCase();
+  return value ? ignoreSummaries.has(value) : false;
+}
+
+function getSeriesBounds(event, rdates) {
+  const starts = rdates.slice();
+  if (event.start instanceof Date) {
+    starts.push(event.start.getTime());
+  }
+  let last = rdates.length > 0 ? Math.max(...rdates) : null;
+  if (event.rrule) {
+    const { until, count } = event.rrule.options;
+    let ruleLast = null;
+    if (until) {
+      ruleLast = until.getTime();
+    } else if (count) {
+      const all = event.rrule.all();
+      ruleLast = all.length > 0 ? all[all.length - 1].getTime() : null;
+    }
+    last = ruleLast === null ? null : Math.max(ruleLast, last === null ? ruleLast : last);
+  }
+  return { from: starts.length > 0 ? Math.min(...starts) : null, last };
+}
+
+function getDateOnlyDurationMs(event) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days =
+    event.end instanceof Date
+      ? Math.round((addDays(event.end, 0) - addDays(event.start, 0)) / dayMs)
+      : Math.round(getEventDurationMs(event) / dayMs);
+  return days * dayMs;
+}
+
+function indexSeries(event, details) {
+  // node-ical drops dateOnly from recurring all-day starts east of UTC, so read DTSTART's type.
+  const dateOnly = event.datetype === 'date';
+  const durationMs = dateOnly ? getDateOnlyDurationMs(event) : getEventDurationMs(event);
+  if (!Number.isFinite(durationMs) || durationMs <= 0) {
+    return null;
+  }
+  const rdates = extractRDates(event).map((date) => date.getTime());
+  const overrides = {};
+  for (const override of Object.values(event.recurrences || {})) {
+    const range = override.status === 'CANCELLED' ? null : resolveEventTime(override);
+    addOccurrenceKey(
+      overrides,
+      override.recurrenceid,
+      range
+        ? {
+            start: range.start.getTime(),
+            end: range.end.getTime(),
+            dateOnly: Boolean(range.start.dateOnly),
+            availability: getEventAvailability(override),
+            location: getPropertyValue(override.location),
+          }
+        : null,
+    );
+  }
+  const exdates = {};
+  for (const date of Object.values(event.exdate || {})) {
+    addOccurrenceKey(exdates, date, true);
+  }
+  return {
+    ...details,
+    ...getSeriesBounds(event, rdates),
+    rule: event.rrule ? event.rrule.toString() : null,
+    start: event.start instanceof Date ? event.start.getTime() : null,
+    dateOnly,
+    timeZone: resolveEventTimeZone(event),
+    durationMs,
+    rdates,
+    overrides,
+    exdates,
+  };
+}
+
+function getEventTimeZoneNames(event) {
+  return [event, ...Object.values(event.recurrences || {})]
+    .flatMap((item) => [item.start && item.start.tz, item.end && item.end.tz])
+    .filter(Boolean)
+    .map(String);
+}
+
+function buildCalendarIndex(calendarData) {
+  const events = [];
+  const series = [];
+  const unknownTimeZones = new Set();
+  for (const entry of Object.values(calendarData || {})) {
+    if (!entry) {
+      continue;
+    }
+
+    if (entry.type === 'VFREEBUSY') {
+      const blocks = Array.isArray(entry.freebusy) ? entry.freebusy : [];
+      for (const block of blocks) {
+        if (!block || !block.start || !block.end) {
+          continue;
+        }
+        const type = String(block.type || '').toUpperCase();
+        if (type && !type.includes('BUSY')) {
+          continue;
+        }
+        events.push({
+          start: block.start.getTime(),
+          end: block.end.getTime(),
+          label: type ? `VFREEBUSY:${type}` : 'VFREEBUSY',
+          availability: FREEBUSY_TYPE_MAP[type] || 'busy',
+        });
+      }
+      continue;
+    }
+
+    if (entry.type !== 'VEVENT' || entry.status === 'CANCELLED') {
+      continue;
+    }
+    for (const name of getEventTimeZoneNames(entry)) {
+      if (!isKnownTimeZone(name)) {
+        unknownTimeZones.add(name);
+      }
+    }
+    const details = {
+      summary: entry.summary,
+      label: getEventLabel(entry),
+      availability: getEventAvailability(entry),
+      location: getPropertyValue(entry.location),
+    };
+    if (entry.rrule || entry.rdate) {
+      const item = indexSeries(entry, details);
+      if (item) {
+        series.push(item);
+      }
+      continue;
+    }
+    const range = resolveEventTime(entry);
+    if (range) {
+      events.push({
+        ...details,
+        start: range.start.getTime(),
+        end: range.end.getTime(),
+        dateOnly: Boolean(range.start.dateOnly),
+      });
+    }
+  }
+  events.sort((a, b) => a.start - b.start);
+  return {
+    indexVersion: CALENDAR_INDEX_VERSION,
+    events,
+    maxDurationMs: events.reduce((max, event) => Math.max(max, event.end - event.start), 0),
+    series,
+    unresolvedTimeZones: [...unknownTimeZones],
+  };
+}
+
+function isCalendarIndex(calendarData) {
+  return Boolean(calendarData && calendarData.indexVersion === CALENDAR_INDEX_VERSION);
+}
+
+function toCalendarIndex(calendarData) {
+  if (isCalendarIndex(calendarData)) {
+    return calendarData;
+  }
+  if (!calendarIndexes.has(calendarData)) {
+    calendarIndexes.set(calendarData, buildCalendarIndex(calendarData));
+  }
+  return calendarIndexes.get(calendarData);
+}
+
+function getRecurrenceRule(series) {
+  if (!recurrenceRules.has(series)) {
+    recurrenceRules.set(series, series.rule ? rrulestr(series.rule) : null);
+  }
+  return recurrenceRules.get(series);
+}
+
+function toInstanceDate(time, dateOnly) {
+  const date = new Date(time);
+  if (dateOnly) {
+    date.dateOnly = true;
+  }
+  return date;
+}
+
+function findFirstEvent(events, time) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (events[middle].start < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function expandSeries(series, rangeStart, rangeEnd) {
+  const slackMs = 24 * 60 * 60 * 1000;
+  if (series.from !== null && series.from - slackMs > rangeEnd.getTime()) {
+    return [];
+  }
+  if (series.last !== null && series.last + series.durationMs + slackMs < rangeStart.getTime()) {
+    return [];
+  }
+  const rule = getRecurrenceRule(series);
+  const dates = rule ? rule.between(rangeStart, rangeEnd, true) : [];
+  const allDates = dates.concat(series.rdates.map((time) => new Date(time)));
+  const eventStart = series.start === null ? null : new Date(series.start);
+  const instances = [];
+  const seen = new Set();
+
+  for (const date of allDates) {
+    const time = date.getTime();
+    if (Number.isNaN(time) || seen.has(time)) {
+      continue;
+    }
+    seen.add(time);
+    const adjustedDate = alignToEventWallTime(date, eventStart, series.timeZone);
+    const override = findOccurrence(series.overrides, [adjustedDate, date], series.dateOnly);
+    if (override !== undefined) {
+      if (override) {
+        instances.push({
+          start: toInstanceDate(override.start, override.dateOnly),
+          end: new Date(override.end),
+          availability: override.availability,
+          location: override.location,
+        });
+      }
+      continue;
+    }
+    if (findOccurrence(series.exdates, [adjustedDate, date], series.dateOnly)) {
+      continue;
+    }
+    if (series.dateOnly) {
+      const day = addDays(adjustedDate, 0);
+      instances.push({
+        start: toInstanceDate(day.getTime(), true),
+        end: addDays(day, Math.round(series.durationMs / (24 * 60 * 60 * 1000))),
+      });
+      continue;
+    }
+    instances.push({
+      start: adjustedDate,
+      end: new Date(adjustedDate.getTime() + series.durationMs),
+    });
+  }
+
+  return instances;
+}
+
+function collectEventInstances(calendarData, rangeStart, rangeEnd, options = {}) {
+  const { ignoreSummaries, calendar = null } = options;
+  const policy = options.availability || DEFAULT_AVAILABILITY_POLICY;
+  const buffers = options.buffers || normalizeBufferSettings();
+  const index = toCalendarIndex(calendarData);
+  const instances = [];
+  const pushInstance = (start, end, label, availability, location, series = null) => {
+    const treatment = policy[availability] || 'hard';
+    if (treatment === 'ignore') {
+      return;
+    }
+    const padding = resolveEventBuffers(label, location, buffers);
+    instances.push({
+      start,
+      end,
+      label,
+      calendar,
+      availability,
+      treatment,
+      fbType: getFreeBusyType(availability, treatment),
+      bufferBefore: padding.before,
+      bufferAfter: padding.after,
+      series,
+    });
+  };
+
+  const { events } = index;
+  const first = findFirstEvent(events, rangeStart.getTime() - index.maxDurationMs);
+  for (let i = first; i < events.length && events[i].start < rangeEnd.getTime(); i += 1) {
+    const event = events[i];
+    if (event.end <= rangeStart.getTime() || isIgnoredSummary(event.summary, ignoreSummaries)) {
+      continue;
+    }
+    pushInstance(
+      toInstanceDate(event.start, event.dateOnly),
+      new Date(event.end),
+      event.label,
+      event.availability,
+      event.location,
+    );
+  }
+
+  for (const series of index.series) {
+    if (isIgnoredSummary(series.summary, ignoreSummaries)) {
+      continue;
+    }
+    for (const instance of expandSeries(series, rangeStart, rangeEnd)) {
+      if (instance.end <= rangeStart || instance.start >= rangeEnd) {
+        continue;
+      }
+      pushInstance(
+        instance.start,
+        instance.end,
+        series.label,
+        instance.availability || series.availability,
+        instance.location || series.location,
+        `${series.label}@${series.start}`,
+      );
+    }
+  }
+
+  return instances;
+}
+
+function mergeIntervals(intervals) {
+  if (intervals.length === 0) {
+    return [];
+  }
+  const sorted = intervals
+    .slice()
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+  const merged = [{ start: sorted[0].start, end: sorted[0].end }];
+
+  for (let i = 1; i < sorted.length; i += 1) {
+    const current = sorted[i];
+    const last = merged[merged.length - 1];
+    if (current.start <= last.end) {
+      if (current.end > last.end) {
+        last.end = current.end;
+      }
+    } else {
+      merged.push({ start: current.start, end: current.end });
+    }
+  }
+
+  return merged;
+}
+
+function getPaddedRange(instance) {
+  return {
+    start: new Date(instance.start.getTime() - (instance.bufferBefore || 0) * 60 * 1000),
+    end: new Date(instance.end.getTime() + (instance.bufferAfter || 0) * 60 * 1000),
+  };
+}
+
+function splitPaddedInstance(instance) {
+  const padded = getPaddedRange(instance);
+  const segments = [
+    { start: instance.start, end: instance.end, label: instance.label, kind: 'event' },
+  ];
+  if (padded.start < instance.start) {
+    segments.push({
+      start: padded.start,
+      end: instance.start,
+      label: `buffer:before ${instance.label}`,
+      kind: 'buffer',
+    });
+  }
+  if (padded.end > instance.end) {
+    segments.push({
+      start: instance.end,
+      end: padded.end,
+      label: `buffer:after ${instance.label}`,
+      kind: 'buffer',
+    });
+  }
+  return segments;
+}
+
+function collectBusyIntervalsForDay(instances, dayStart, dayEnd, extraBusyIntervals) {
+  const busyIntervals = [];
+  for (const instance of instances) {
+    for (const segment of splitPaddedInstance(instance)) {
+      if (segment.end <= dayStart || segment.start >= dayEnd) {
+        continue;
+      }
+      const start = segment.start > dayStart ? segment.start : dayStart;
+      const end = segment.end < dayEnd ? segment.end : dayEnd;
+      if (end > start) {
+        busyIntervals.push({
+          start,
+          end,
+          label: segment.label,
+          kind: segment.kind,
+          calendar: instance.calendar,
+          availability: instance.availability,
+          treatment: instance.treatment,
+          fbType: instance.fbType,
+          series: instance.series,
+        });
+      }
+    }
+  }
+
+  for (const interval of extraBusyIntervals || []) {
+    if (interval.end <= dayStart || interval.start >= dayEnd) {
+      continue;
+    }
+    const start = interval.start > dayStart ? interval.start : dayStart;
+    const end = interval.end < dayEnd ? interval.end : dayEnd;
+    if (end > start) {
+      busyIntervals.push({
+        start,
+        end,
+        label: interval.label || 'excludeTime',
+        kind: 'exclude',
+        fbType: interval.fbType || 'BUSY-UNAVAILABLE',
+      });
+    }
+  }
+
+  return busyIntervals;
+}
+
+function subtractIntervals(intervals, removals) {
+  let remaining = mergeIntervals(intervals);
+  for (const removal of mergeIntervals(removals)) {
+    const next = [];
+    for (const interval of remaining) {
+      if (removal.end <= interval.start || removal.start >= interval.end) {
+        next.push(interval);
+        continue;
+      }
+      if (removal.start > interval.start) {
+        next.push({ start: interval.start, end: removal.start });
+      }
+      if (removal.end < interval.end) {
+        next.push({ start: removal.end, end: interval.end });
+      }
+    }
+    remaining = next;
+  }
+  return remaining;
+}
+
+function getFreeSlotsForDay(instances, dayStart, dayEnd, minSlotMs, extraBusyIntervals) {
+  const busyIntervals = collectBusyIntervalsForDay(
+    instances,
+    dayStart,
+    dayEnd,
+    extraBusyIntervals,
+  );
+  const mergedBusy = mergeIntervals(
+    busyIntervals.map((interval) => ({ start: interval.start, end: interval.end })),
+  );
+  const free = [];
+  let cursor = dayStart;
+
+  for (const busy of mergedBusy) {
+    if (busy.start > cursor && busy.start.getTime() - cursor.getTime() >= minSlotMs) {
+      free.push({ start: cursor, end: busy.start });
+    }
+    if (busy.end > cursor) {
+      cursor = busy.end;
+    }
+  }
+
+  if (dayEnd > cursor && dayEnd.getTime() - cursor.getTime() >= minSlotMs) {
+    free.push({ start: cursor, end: dayEnd });
+  }
+
+  return free;
+}
+
+function alignFreeSlotsToGrid(freeSlots, meetingLengthMs, gridMinutes, timeZone) {
+  const aligned = [];
+  for (const slot of freeSlots) {
+    const earliestStart = ceilToGrid(slot.start, gridMinutes, timeZone);
+    const latestStartCandidate = new Date(slot.end.getTime() - meetingLengthMs);
+    const latestStart = floorToGrid(latestStartCandidate, gridMinutes, timeZone);
+    if (latestStart < earliestStart) {
+      continue;
+    }
+    aligned.push({
+      start: earliestStart,
+      end: new Date(latestStart.getTime() + meetingLengthMs),
+    });
+  }
+  return aligned;
+}
+
+function findTentativeSlots(instances, plan, meetingLengthMs, settings) {
+  const softInstances = instances.filter((instance) => instance.treatment === 'soft');
+  if (softInstances.length === 0) {
+    return [];
+  }
+  const hardInstances = instances.filter((instance) => instance.treatment !== 'soft');
+  const windows = alignFreeSlotsToGrid(
+    getFreeSlotsForDay(
+      hardInstances,
+      plan.dayStart,
+      plan.dayEnd,
+      meetingLengthMs,
+      plan.excludeIntervals,
+    ),
+    meetingLengthMs,
+    settings.timeGridMinutes,
+    settings.timeZone,
+  );
+  const overlapsSoft = (interval) =>
+    softInstances.filter(
+      (instance) => instance.start < interval.end && instance.end > interval.start,
+    );
+  const candidates = enumerateGridStarts(windows, meetingLengthMs, settings.timeGridMinutes)
+    .map((start) => ({ start, end: new Date(start.getTime() + meetingLengthMs) }))
+    .filter((candidate) => overlapsSoft(candidate).length > 0);
+  return mergeIntervals(candidates).map((part) => ({
+    start: part.start,
+    end: part.end,
+    labels: Array.from(new Set(overlapsSoft(part).map((instance) => instance.label))),
+  }));
+}
+
+function normalizeOptionalPositiveInteger(rawValue, name) {
+  return normalizeConfigNumber(rawValue, CONFIG_SCHEMA.properties[name], name, null);
+}
+
+function normalizeLoadLimits(config) {
+  return {
+    maxMeetingMinutesPerDay: normalizeOptionalPositiveInteger(
+      config.maxMeetingMinutesPerDay,
+      'maxMeetingMinutesPerDay',
+    ),
+    maxMeetingsPerDay: normalizeOptionalPositiveInteger(
+      config.maxMeetingsPerDay,
+      'maxMeetingsPerDay',
+    ),
+    minFocusBlockMinutes: normalizeOptionalPositiveInteger(
+      config.minFocusBlockMinutes,
+      'minFocusBlockMinutes',
+    ),
+  };
+}
+
+function collectDayMeetings(instances, plan) {
+  const seen = new Set();
+  return collectBusyIntervalsForDay(instances, plan.dayStart, plan.dayEnd, []).filter(
+    (interval) => {
+      if (interval.kind !== 'event' || interval.treatment !== 'hard') {
+        return false;
+      }
+      const key = `${interval.start.getTime()}|${interval.end.getTime()}|${interval.label}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    },
+  );
+}
+
+function measureMeetingLoad(instances, plan) {
+  const meetings = collectDayMeetings(instances, plan);
+  const minutes = mergeIntervals(meetings).reduce(
+    (total, interval) => total + (interval.end.getTime() - interval.start.getTime()) / 60000,
+    0,
+  );
+  return { count: meetings.length, minutes };
+}
+
+function applyLoadLimits(freeSlots, instances, plan, meetingLengthMs, limits) {
+  const { maxMeetingMinutesPerDay, maxMeetingsPerDay, minFocusBlockMinutes } = limits;
+  const load = measureMeetingLoad(instances, plan);
+  if (maxMeetingsPerDay !== null && load.count + 1 > maxMeetingsPerDay) {
+    return {
+      slots: [],
+      reason: 'maxMeetingsPerDay',
+      detail: `${load.count} meetings already booked, limit ${maxMeetingsPerDay}`,
+    };
+  }
+  const lengthMinutes = meetingLengthMs / 60000;
+  if (
+    maxMeetingMinutesPerDay !== null &&
+    load.minutes + lengthMinutes > maxMeetingMinutesPerDay
+  ) {
+    return {
+      slots: [],
+      reason: 'maxMeetingMinutesPerDay',
+      detail: `${load.minutes} meeting minutes already booked, limit ${maxMeetingMinutesPerDay}`,
+    };
+  }
+  if (minFocusBlockMinutes === null) {
+    return { slots: freeSlots, reason: null, detail: null };
+  }
+
+  const focusMs = minFocusBlockMinutes * 60 * 1000;
+  const focusBlocks = freeSlots.filter(
+    (slot) => slot.end.getTime() - slot.start.getTime() >= focusMs,
+  );
+  if (focusBlocks.length !== 1) {
+    return { slots: freeSlots, reason: null, detail: null };
+  }
+  const [lastBlock] = focusBlocks;
+  const early = { start: lastBlock.start, end: new Date(lastBlock.end.getTime() - focusMs) };
+  const late = { start: new Date(lastBlock.start.getTime() + focusMs), end: lastBlock.end };
+  const overlapMs = early.end.getTime() - late.start.getTime();
+  // A meeting must fit entirely before or after a remaining focus block, so the two
+  // windows may only be joined when every placement in the union fits in one of them.
+  const keepsFocus = (overlapMs >= meetingLengthMs ? [lastBlock] : [early, late]).filter(
+    (slot) => slot.end.getTime() - slot.start.getTime() >= meetingLengthMs,
+  );
+  const slots = freeSlots.flatMap((slot) => (slot === lastBlock ? keepsFocus : [slot]));
+  return {
+    slots,
+    reason: 'minFocusBlockMinutes',
+    detail: `keeps the last ${minFocusBlockMinutes}-minute focus block free`,
+  };
+}
+
+function applyParticipantLoadLimits(freeSlots, instances, plan, meetingLengthMs, settings) {
+  const calendars = settings.calendarLoadLimits || [];
+  if (calendars.length === 0) {
+    return applyLoadLimits(freeSlots, instances, plan, meetingLengthMs, settings.loadLimits);
+  }
+  let slots = freeSlots;
+  let limited = { reason: null, detail: null };
+  for (const { name, limits } of calendars) {
+    const own = instances.filter((instance) => instance.calendar === name);
+    const ownFree = getFreeSlotsForDay(
+      own,
+      plan.dayStart,
+      plan.dayEnd,
+      meetingLengthMs,
+      plan.excludeIntervals,
+    );
+    const result = applyLoadLimits(ownFree, own, plan, meetingLengthMs, limits);
+    if (!result.reason) {
+      continue;
+    }
+    slots = intersectIntervals(slots, result.slots).filter(
+      (slot) => slot.end.getTime() - slot.start.getTime() >= meetingLengthMs,
+    );
+    if (!limited.reason) {
+      limited = { reason: result.reason, detail: `${name}: ${result.detail}` };
+    }
+  }
+  return { slots, ...limited };
+}
+
+function enumerateGridStarts(alignedSlots, meetingLengthMs, gridMinutes) {
+  const stepMs = gridMinutes * 60 * 1000;
+  const starts = [];
+  for (const slot of alignedSlots) {
+    const lastStart = slot.end.getTime() - meetingLengthMs;
+    for (let time = slot.start.getTime(); time <= lastStart; time += stepMs) {
+      starts.push(new Date(time));
+    }
+  }
+  return starts;
+}
+
+function isBusyDuring(instances, start, end) {
+  return instances.some((instance) => {
+    const padded = getPaddedRange(instance);
+    return padded.start < end && padded.end > start;
+  });
+}
+
+function scoreQuorumSlot(start, meetingLengthMs, attendees, instancesByCalendar) {
+  const end = new Date(start.getTime() + meetingLengthMs);
+  const free = [];
+  const missing = [];
+  for (const attendee of attendees) {
+    const instances = instancesByCalendar.get(attendee.name) || [];
+    if (isBusyDuring(instances, start, end)) {
+      missing.push(attendee.name);
+    } else {
+      free.push(attendee.name);
+    }
+  }
+  return { start, end, free, missing };
+}
+
+function rankQuorumSlots(scoredSlots, attendees, quorum) {
+  const required = attendees.filter((attendee) => attendee.required);
+  return scoredSlots
+    .filter(
+      (slot) =>
+        slot.free.length >= quorum &&
+        required.every((attendee) => slot.free.includes(attendee.name)),
+    )
+    .sort(
+      (a, b) => b.free.length - a.free.length || a.start.getTime() - b.start.getTime(),
+    );
+}
+
+function normalizeTimeWindows(rawWindows, name) {
+  assertConfigValue(rawWindows, TIME_WINDOWS_SCHEMA, name);
+  return toTimeWindowList(rawWindows).map((item) => ({
+    start: parseTimeOfDay(item.start),
+    end: parseTimeOfDay(item.end),
+  }));
+}
+
+function normalizeExcludeTime(rawExclude) {
+  return normalizeTimeWindows(rawExclude, 'excludeTime');
+}
+
+function normalizeWeeklyExcludeTime(rawExclude) {
+  assertConfigValue(rawExclude, CONFIG_SCHEMA.properties.excludeTimeWeekly, 'excludeTimeWeekly');
+  const result = {};
+  for (const [rawKey, rawValue] of Object.entries(rawExclude || {})) {
+    result[normalizeWeekdayKey(rawKey)] = normalizeTimeWindows(
+      rawValue,
+      formatConfigPath('excludeTimeWeekly', rawKey),
+    );
+  }
+  return result;
+}
+
+function toIsoDate(date) {
+  return formatDateIsoInZone(date, null);
+}
+
+function normalizeNonWorkingDays(rawValue, configDir) {
+  assertConfigValue(rawValue, CONFIG_SCHEMA.properties.nonWorkingDays, 'nonWorkingDays');
+  const result = { weekdays: new Set(), dates: new Map(), ranges: [], calendars: [] };
+  (rawValue || []).forEach((item) => {
+    if (typeof item === 'string') {
+      const weekdayKey = normalizeWeekdayKey(item);
+      if (weekdayKey && !/\d/.test(item)) {
+        result.weekdays.add(weekdayKey);
+      } else {
+        result.dates.set(toIsoDate(parseConfigDate(item)), null);
+      }
+      return;
+    }
+    const name = item.name ? String(item.name) : null;
+    if (item.icsFile || item.calendar) {
+      const data = item.calendar
+        ? parseCalendarData(item.calendar)
+        : loadCalendarFile(path.resolve(configDir || process.cwd(), item.icsFile), null);
+      result.calendars.push({ data, name });
+      return;
+    }
+    if (item.date) {
+      result.dates.set(toIsoDate(parseConfigDate(item.date)), name);
+      return;
+    }
+    result.ranges.push({
+      start: toIsoDate(parseConfigDate(item.start)),
+      end: toIsoDate(parseConfigDate(item.end)),
+      name,
+    });
+  });
+  return result;
+}
+
+function collectHolidayDates(calendars, rangeStart, rangeEnd, timeZone) {
+  const holidays = new Map();
+  const allHard = Object.fromEntries(
+    Object.keys(DEFAULT_AVAILABILITY_POLICY).map((key) => [key, 'hard']),
+  );
+  for (const calendar of calendars) {
+    const paddedStart = new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000);
+    const instances = collectEventInstances(calendar.data, paddedStart, rangeEnd, {
+      availability: allHard,
+    });
+    for (const instance of instances) {
+      const dateOnly = Boolean(instance.start.dateOnly);
+      const lastMoment = new Date(instance.end.getTime() - 1);
+      const first = parseDateInput(formatDateIsoInZone(instance.start, dateOnly ? null : timeZone));
+      const last = parseDateInput(formatDateIsoInZone(lastMoment, dateOnly ? null : timeZone));
+      for (const day of iterateDays(first, last < first ? first : last)) {
+        const iso = toIsoDate(day);
+        if (!holidays.has(iso)) {
+          holidays.set(iso, instance.label || calendar.name);
+        }
+      }
+    }
+  }
+  return holidays;
+}
+
+function resolveSkippedDay(plan, nonWorkingDays, holidayDates) {
+  if (nonWorkingDays.dates.has(plan.date)) {
+    return { reason: 'holiday', name: nonWorkingDays.dates.get(plan.date) };
+  }
+  const closure = nonWorkingDays.ranges.find(
+    (range) => range.start <= plan.date && range.end >= plan.date,
+  );
+  if (closure) {
+    return { reason: 'closure', name: closure.name };
+  }
+  if (holidayDates.has(plan.date)) {
+    return { reason: 'holiday', name: holidayDates.get(plan.date) };
+  }
+  if (nonWorkingDays.weekdays.has(plan.weekdayKey)) {
+    return { reason: 'weekend', name: null };
+  }
+  return null;
+}
+
+function describeSkippedDay(skipped) {
+  return skipped.name ? `${skipped.reason}: ${skipped.name}` : skipped.reason;
+}
+
+function normalizeSuggestWeights(rawWeights) {
+  assertConfigValue(rawWeights, CONFIG_SCHEMA.properties.suggestWeights, 'suggestWeights');
+  const weights = { ...DEFAULT_SUGGEST_WEIGHTS };
+  for (const [key, rawValue] of Object.entries(rawWeights || {})) {
+    if (!isMissingValue(rawValue)) {
+      weights[key] = Number(rawValue);
+    }
+  }
+  return weights;
+}
+
+function compareTimeOfDay(a, b) {
+  return a.hours * 60 + a.minutes - (b.hours * 60 + b.minutes);
+}
+
+function normalizeWorkingWindows(rawWindows, name) {
+  assertConfigValue(rawWindows, WORKING_WINDOWS_SCHEMA, name);
+  return normalizeTimeWindows(rawWindows, name).sort((a, b) =>
+    compareTimeOfDay(a.start, b.start),
+  );
+}
+
+function normalizeWorkingHours(rawValue) {
+  assertConfigValue(rawValue, SCHEDULE_CONFIG_SCHEMA.workingHours, 'workingHours');
+  const result = { weekdays: {}, dates: new Map() };
+  for (const [rawKey, rawWindows] of Object.entries(rawValue || {})) {
+    const windows = normalizeWorkingWindows(rawWindows, formatConfigPath('workingHours', rawKey));
+    const weekdayKey = /\d/.test(rawKey) ? null : normalizeWeekdayKey(rawKey);
+    if (weekdayKey) {
+      result.weekdays[weekdayKey] = windows;
+    } else {
+      result.dates.set(toIsoDate(parseConfigDate(rawKey)), windows);
+    }
+  }
+  return result;
+}
+
+function resolveWorkingWindows(settings, isoDate, weekdayKey) {
+  const workingHours = settings.workingHours || normalizeWorkingHours();
+  if (workingHours.dates.has(isoDate)) {
+    return workingHours.dates.get(isoDate);
+  }
+  if (workingHours.weekdays[weekdayKey]) {
+    return workingHours.weekdays[weekdayKey];
+  }
+  return [{ start: settings.workDayStart, end: settings.workDayEnd }];
+}
+
+function withParticipantSchedules(settings, sources, config) {
+  const participants = sources
+    .filter((source) => source.schedule)
+    .map((source) => {
+      const timeZone = normalizeTimeZone(source.schedule.timeZone) || settings.timeZone;
+      const participantConfig = {
+        workDayStart: config.workDayStart,
+        workDayEnd: config.workDayEnd,
+        ...source.schedule,
+      };
+      return {
+        name: source.name,
+        timeZone,
+        settings: buildScheduleSettings(participantConfig, timeZone),
+      };
+    });
+  assertConfigValue(
+    config.displayTimeZones,
+    CONFIG_SCHEMA.properties.displayTimeZones,
+    'displayTimeZones',
+  );
+  const displayZones = [settings.timeZone || getHostTimeZone()];
+  const extraZones = participants
+    .map((participant) => participant.timeZone)
+    .concat((config.displayTimeZones || []).map(normalizeTimeZone));
+  for (const zone of extraZones) {
+    if (zone && !displayZones.includes(zone)) {
+      displayZones.push(zone);
+    }
+  }
+  const calendarLoadLimits = sources
+    .filter((source) => source.name)
+    .map((source) => ({ name: source.name, limits: source.loadLimits || settings.loadLimits }));
+  return { ...settings, participants, displayZones, calendarLoadLimits };
+}
+
+function getHostTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function formatZoneLabel(timeZone) {
+  return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
+function describeSlotZones(start, end, settings) {
+  const zones = settings.displayZones || [];
+  if (zones.length < 2) {
+    return null;
+  }
+  const primaryDate = formatDateIsoInZone(start, settings.timeZone);
+  return zones.map((zone) => {
+    const date = formatDateIsoInZone(start, zone);
+    return {
+      timeZone: zone,
+      label: formatZoneLabel(zone),
+      date,
+      dayOffset: Math.round((Date.parse(date) - Date.parse(primaryDate)) / (24 * 60 * 60 * 1000)),
+      start: formatTimeInZone(start, zone),
+      end: formatTimeInZone(end, zone),
+    };
+  });
+}
+
+function formatSlotTimes(slot) {
+  if (!slot.zones) {
+    return `${slot.start}-${slot.end}`;
+  }
+  return slot.zones
+    .map((zone) => {
+      const shift = zone.dayOffset ? ` (${zone.dayOffset > 0 ? '+' : ''}${zone.dayOffset}d)` : '';
+      return `${zone.start}-${zone.end} ${zone.label}${shift}`;
+    })
+    .join(' / ');
+}
+
+function withSlotZones(slot, start, end, settings) {
+  const zones = describeSlotZones(start, end, settings);
+  return zones ? { ...slot, zones } : slot;
+}
+
+function intersectIntervals(left, right) {
+  const result = [];
+  for (const a of left) {
+    for (const b of right) {
+      const start = a.start > b.start ? a.start : b.start;
+      const end = a.end < b.end ? a.end : b.end;
+      if (start < end) {
+        result.push({ start, end });
+      }
+    }
+  }
+  return result.sort((a, b) => a.start.getTime() - b.start.getTime());
+}
+
+function collectParticipantWindows(participants, startDate, endDate) {
+  return participants.map((participant) =>
+    getWorkingDays(planDays(addDays(startDate, -1), addDays(endDate, 1), participant.settings))
+      .flatMap((plan) => plan.workWindows),
+  );
+}
+
+function buildScheduleSettings(config, timeZone) {
+  assertConfigValue(config.workDayStart, SCHEDULE_CONFIG_SCHEMA.workDayStart, 'workDayStart');
+  assertConfigValue(config.workDayEnd, SCHEDULE_CONFIG_SCHEMA.workDayEnd, 'workDayEnd');
+  const workDayStart = parseTimeOfDay(config.workDayStart || DEFAULT_WORK_DAY_START);
+  const workDayEnd = parseTimeOfDay(config.workDayEnd || DEFAULT_WORK_DAY_END);
+  if (compareTimeOfDay(workDayEnd, workDayStart) <= 0) {
+    throw new Error('workDayEnd must be after workDayStart');
+  }
+  return {
+    timeZone,
+    workDayStart,
+    workDayEnd,
+    workingHours: normalizeWorkingHours(config.workingHours),
+    excludeTime: normalizeExcludeTime(config.excludeTime),
+    excludeTimeWeekly: normalizeWeeklyExcludeTime(config.excludeTimeWeekly),
+    timeGridMinutes: normalizeTimeGridMinutes(config.timeGridMinutes),
+    loadLimits: normalizeLoadLimits(config),
+    preferredHours: normalizeTimeWindows(config.preferredHours, 'preferredHours'),
+    nonWorkingDays: normalizeNonWorkingDays(config.nonWorkingDays, config.configDir),
+    suggestWeights: normalizeSuggestWeights(config.suggestWeights),
+    locale: normalizeLocale(config.locale),
+  };
+}
+
+function getRangeBounds(startDate, endDate, timeZone) {
+  return {
+    rangeStart: makeDateInTimeZone(
+      startDate.getFullYear(),
+      startDate.getMonth() + 1,
+      startDate.getDate(),
+      0,
+      0,
+      0,
+      timeZone,
+    ),
+    rangeEnd: makeDateInTimeZone(
+      endDate.getFullYear(),
+      endDate.getMonth() + 1,
+      endDate.getDate(),
+      23,
+      59,
+      59,
+      timeZone,
+    ),
+  };
+}
+
+function planDays(startDate, endDate, settings) {
+  const { timeZone, workDayStart, excludeTime, excludeTimeWeekly } = settings;
+  const nonWorkingDays = settings.nonWorkingDays || normalizeNonWorkingDays();
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, timeZone);
+  const holidayDates = collectHolidayDates(
+    nonWorkingDays.calendars,
+    rangeStart,
+    rangeEnd,
+    timeZone,
+  );
+  const participantWindows = collectParticipantWindows(
+    settings.participants || [],
+    startDate,
+    endDate,
+  );
+  const days = [];
+  for (const day of iterateDays(startDate, endDate)) {
+    const weekdayKey = getWeekdayKey(withTimeInZone(day, workDayStart, timeZone), timeZone);
+    const ownWindows = resolveWorkingWindows(settings, toIsoDate(day), weekdayKey).map(
+      (window) => ({
+        start: withTimeInZone(day, window.start, timeZone),
+        end: withTimeInZone(day, window.end, timeZone),
+      }),
+    );
+    const workWindows = participantWindows.reduce(intersectIntervals, ownWindows);
+    const dayStart =
+      workWindows.length > 0 ? workWindows[0].start : withTimeInZone(day, workDayStart, timeZone);
+    const dayEnd = workWindows.length > 0 ? workWindows[workWindows.length - 1].end : dayStart;
+    const weeklyWindows = excludeTimeWeekly[weekdayKey] || [];
+    const workingHoursGaps = workWindows.slice(1).map((window, index) => ({
+      start: workWindows[index].end,
+      end: window.start,
+      label: 'workingHours',
+    }));
+    const excludeIntervals = [
+      ...workingHoursGaps,
+      ...excludeTime.map((window) => ({
+        start: withTimeInZone(day, window.start, timeZone),
+        end: withTimeInZone(day, window.end, timeZone),
+        label: 'excludeTime',
+      })),
+      ...weeklyWindows.map((window) => ({
+        start: withTimeInZone(day, window.start, timeZone),
+        end: withTimeInZone(day, window.end, timeZone),
+        label: `excludeTimeWeekly:${weekdayKey}`,
+      })),
+    ];
+    const plan = {
+      day,
+      dayStart,
+      dayEnd,
+      workWindows,
+      weekdayKey,
+      label: formatDateLabelInZone(dayStart, timeZone),
+      date: formatDateIsoInZone(dayStart, timeZone),
+      excludeIntervals,
+      skipped: null,
+    };
+    plan.skipped = resolveSkippedDay(plan, nonWorkingDays, holidayDates);
+    if (!plan.skipped && workWindows.length === 0) {
+      plan.skipped = { reason: ownWindows.length > 0 ? 'no overlap' : 'off', name: null };
+    }
+    days.push(plan);
+  }
+  return days;
+}
+
+function getWorkingDays(days) {
+  return days.filter((plan) => !plan.skipped);
+}
+
+function computeDaySlots(plan, instances, meetingLengthMs, settings) {
+  const freeSlots = getFreeSlotsForDay(
+    instances,
+    plan.dayStart,
+    plan.dayEnd,
+    meetingLengthMs,
+    plan.excludeIntervals,
+  );
+  const limited = applyParticipantLoadLimits(freeSlots, instances, plan, meetingLengthMs, settings);
+  const alignedSlots = alignFreeSlotsToGrid(
+    limited.slots,
+    meetingLengthMs,
+    settings.timeGridMinutes,
+    settings.timeZone,
+  );
+  return { freeSlots, limited, alignedSlots };
+}
+
+function computeAvailability(days, instances, meetingLengthMs, settings, calendarNames) {
+  const { timeZone, timeGridMinutes } = settings;
+  return days.map((plan) => {
+    if (plan.skipped) {
+      const skippedResult = {
+        date: plan.date,
+        label: plan.label,
+        slots: [],
+        skipped: plan.skipped,
+      };
+      if (calendarNames) {
+        skippedResult.calendars = calendarNames;
+      }
+      return skippedResult;
+    }
+    const { freeSlots, limited, alignedSlots } = computeDaySlots(
+      plan,
+      instances,
+      meetingLengthMs,
+      settings,
+    );
+    const slots = alignedSlots.map((slot) => {
+      const formatted = {
+        start: formatTimeInZone(slot.start, timeZone),
+        end: formatTimeInZone(slot.end, timeZone),
+      };
+      return withSlotZones(formatted, slot.start, slot.end, settings);
+    });
+    const dayResult = { date: plan.date, label: plan.label, slots };
+    if (limited.reason) {
+      const omitted = subtractIntervals(
+        alignFreeSlotsToGrid(freeSlots, meetingLengthMs, timeGridMinutes, timeZone),
+        alignedSlots,
+      );
+      if (omitted.length > 0) {
+        dayResult.omitted = omitted.map((slot) => ({
+          start: formatTimeInZone(slot.start, timeZone),
+          end: formatTimeInZone(slot.end, timeZone),
+          reason: limited.reason,
+          detail: limited.detail,
+        }));
+      }
+    }
+    const tentative = findTentativeSlots(instances, plan, meetingLengthMs, settings);
+    if (tentative.length > 0) {
+      dayResult.tentative = tentative.map((slot) => ({
+        start: formatTimeInZone(slot.start, timeZone),
+        end: formatTimeInZone(slot.end, timeZone),
+        overlaps: slot.labels,
+      }));
+    }
+    if (calendarNames) {
+      dayResult.calendars = calendarNames;
+    }
+    return dayResult;
+  });
+}
+
+function rankSuggestions(days, instances, meetingLengthMs, settings) {
+  const { timeZone, timeGridMinutes, preferredHours, suggestWeights } = settings;
+  const candidates = [];
+  days.forEach((plan, dayIndex) => {
+    if (plan.skipped) {
+      return;
+    }
+    const { alignedSlots } = computeDaySlots(plan, instances, meetingLengthMs, settings);
+    if (alignedSlots.length === 0) {
+      return;
+    }
+    const edges = new Set([plan.dayStart.getTime(), plan.dayEnd.getTime()]);
+    const busyIntervals = collectBusyIntervalsForDay(
+      instances,
+      plan.dayStart,
+      plan.dayEnd,
+      plan.excludeIntervals,
+    );
+    for (const interval of busyIntervals) {
+      edges.add(interval.start.getTime());
+      edges.add(interval.end.getTime());
+    }
+    const load = measureMeetingLoad(instances, plan);
+    const workMinutes = plan.workWindows.reduce(
+      (total, window) => total + (window.end.getTime() - window.start.getTime()) / 60000,
+      0,
+    );
+    const preferredWindows = preferredHours.map((window) => ({
+      start: withTimeInZone(plan.day, window.start, timeZone),
+      end: withTimeInZone(plan.day, window.end, timeZone),
+    }));
+    for (const start of enumerateGridStarts(alignedSlots, meetingLengthMs, timeGridMinutes)) {
+      const end = new Date(start.getTime() + meetingLengthMs);
+      const touching = (edges.has(start.getTime()) ? 1 : 0) + (edges.has(end.getTime()) ? 1 : 0);
+      const preferred = preferredWindows.some(
+        (window) => window.start <= start && window.end >= end,
+      );
+      const factors = {
+        adjacency: touching / 2,
+        preferredHours: preferred ? 1 : 0,
+        lightLoad: Math.max(0, 1 - load.minutes / workMinutes),
+        soon: days.length > 1 ? 1 - dayIndex / (days.length - 1) : 1,
+      };
+      const score = Object.keys(suggestWeights).reduce(
+        (total, key) => total + suggestWeights[key] * factors[key],
+        0,
+      );
+      candidates.push({ plan, start, end, score, factors });
+    }
+  });
+  return candidates.sort(
+    (a, b) => b.score - a.score || a.start.getTime() - b.start.getTime(),
+  );
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function describeSuggestion(suggestion) {
+  const reasons = [];
+  if (suggestion.factors.adjacency === 1) {
+    reasons.push('no gaps left');
+  } else if (suggestion.factors.adjacency > 0) {
+    reasons.push('next to busy time');
+  }
+  if (suggestion.factors.preferredHours > 0) {
+    reasons.push('preferred hours');
+  }
+  return reasons.length > 0 ? ` (${reasons.join(', ')})` : '';
+}
+
+function toCalendarDate(value, timeZone) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new Error('Invalid date value');
+    }
+    return parseDateInput(formatDateIsoInZone(value, timeZone));
+  }
+  return parseDateInput(value, timeZone);
+}
+
+function parseCalendarData(calendar) {
+  if (typeof calendar === 'string') {
+    return parseIcsText(calendar);
+  }
+  if (!calendar || typeof calendar !== 'object') {
+    throw new Error('calendar must be ICS text or parsed calendar data');
+  }
+  return calendar;
+}
+
+function findFreeSlots(options = {}) {
+  const meetingLengthMinutes = Number(options.lengthMinutes);
+  if (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0) {
+    throw new Error('lengthMinutes must be a positive number of minutes');
+  }
+  const range = options.range || {};
+  if (!range.start || !range.end) {
+    throw new Error('range must include start and end');
+  }
+  const timeZone = normalizeTimeZone(options.timeZone);
+  const startDate = toCalendarDate(range.start, timeZone);
+  const endDate = toCalendarDate(range.end, timeZone);
+  if (startDate > endDate) {
+    throw new Error('Start date must be before or equal to end date');
+  }
+
+  const workHours = options.workHours || {};
+  const excludes =
+    Array.isArray(options.excludes) || !options.excludes
+      ? { daily: options.excludes }
+      : options.excludes;
+  const settings = buildScheduleSettings(
+    {
+      workDayStart: workHours.start,
+      workDayEnd: workHours.end,
+      excludeTime: excludes.daily,
+      excludeTimeWeekly: excludes.weekly,
+      timeGridMinutes: options.grid,
+      workingHours: options.workingHours,
+      nonWorkingDays: options.nonWorkingDays,
+      ...options.loadLimits,
+    },
+    timeZone,
+  );
+
+  let calendars;
+  if (options.calendars) {
+    calendars = options.calendars.map((item) => ({
+      name: item.name,
+      data: parseCalendarData(item.calendar),
+      ignoreSummaries: [].concat(options.ignoreSummaries || [], item.ignoreSummaries || []),
+      availability: { ...options.availability, ...item.availability },
+      buffers: { ...options.buffers, ...item.buffers },
+      schedule: pickScheduleConfig({
+        timeZone: item.timeZone,
+        workDayStart: item.workHours && item.workHours.start,
+        workDayEnd: item.workHours && item.workHours.end,
+        workingHours: item.workingHours,
+      }),
+      loadLimits: normalizeLoadLimits({ ...options.loadLimits, ...item.loadLimits }),
+    }));
+  } else if (options.calendar) {
+    calendars = [
+      {
+        name: null,
+        data: parseCalendarData(options.calendar),
+        ignoreSummaries: options.ignoreSummaries,
+        availability: options.availability,
+        buffers: options.buffers,
+      },
+    ];
+  } else {
+    throw new Error('calendar or calendars is required');
+  }
+
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, timeZone);
+  const instances = [];
+  for (const calendar of calendars) {
+    instances.push(
+      ...collectEventInstances(calendar.data, rangeStart, rangeEnd, {
+        ignoreSummaries: normalizeIgnoreSummaries(calendar.ignoreSummaries),
+        availability: normalizeAvailabilityPolicy(calendar.availability),
+        buffers: normalizeBufferSettings(calendar.buffers),
+        calendar: calendar.name,
+      }),
+    );
+  }
+  const calendarNames = options.calendars ? calendars.map((calendar) => calendar.name) : null;
+  const scheduleSettings = withParticipantSchedules(settings, calendars, {
+    workDayStart: workHours.start,
+    workDayEnd: workHours.end,
+    displayTimeZones: options.displayTimeZones,
+  });
+  return computeAvailability(
+    planDays(startDate, endDate, scheduleSettings),
+    instances,
+    meetingLengthMinutes * 60 * 1000,
+    scheduleSettings,
+    calendarNames,
+  );
+}
+
+function formatIcsDateTimeUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function foldIcsLine(line) {
+  const chunks = [];
+  let rest = line;
+  let limit = 75;
+  while (Buffer.byteLength(rest) > limit) {
+    let cut = limit;
+    while (Buffer.byteLength(rest.slice(0, cut)) > limit) {
+      cut -= 1;
+    }
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+    limit = 74;
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+}
+
+function serializeIcs(lines) {
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+function buildFreeBusyCalendar(days, instances, startDate, endDate, timeZone) {
+  const { rangeStart } = getRangeBounds(startDate, endDate, timeZone);
+  const dayAfterEnd = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+  const rangeEnd = getRangeBounds(dayAfterEnd, dayAfterEnd, timeZone).rangeStart;
+
+  const byType = { BUSY: [], 'BUSY-TENTATIVE': [], 'BUSY-UNAVAILABLE': [] };
+  const workingDays = getWorkingDays(days);
+  for (const plan of workingDays) {
+    const busyIntervals = collectBusyIntervalsForDay(
+      instances,
+      plan.dayStart,
+      plan.dayEnd,
+      plan.excludeIntervals,
+    );
+    for (const interval of busyIntervals) {
+      const type = byType[interval.fbType] ? interval.fbType : 'BUSY';
+      byType[type].push({ start: interval.start, end: interval.end });
+    }
+  }
+  const workWindows = workingDays.flatMap((plan) => plan.workWindows);
+  const busy = mergeIntervals(byType.BUSY);
+  const tentative = subtractIntervals(byType['BUSY-TENTATIVE'], busy);
+  const unavailable = subtractIntervals(
+    mergeIntervals(
+      byType['BUSY-UNAVAILABLE'].concat(
+        subtractIntervals([{ start: rangeStart, end: rangeEnd }], workWindows),
+      ),
+    ),
+    busy.concat(tentative),
+  );
+  const periods = [
+    ...busy.map((interval) => ({ ...interval, type: 'BUSY' })),
+    ...tentative.map((interval) => ({ ...interval, type: 'BUSY-TENTATIVE' })),
+    ...unavailable.map((interval) => ({ ...interval, type: 'BUSY-UNAVAILABLE' })),
+  ].sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//outlook-free-time//EN',
+    'METHOD:PUBLISH',
+    'BEGIN:VFREEBUSY',
+    `UID:${formatIcsDateTimeUtc(rangeStart)}-${formatIcsDateTimeUtc(rangeEnd)}@outlook-free-time`,
+    `DTSTAMP:${formatIcsDateTimeUtc(new Date())}`,
+    `DTSTART:${formatIcsDateTimeUtc(rangeStart)}`,
+    `DTEND:${formatIcsDateTimeUtc(rangeEnd)}`,
+    ...periods.map((period) => {
+      const value = `${formatIcsDateTimeUtc(period.start)}/${formatIcsDateTimeUtc(period.end)}`;
+      return `FREEBUSY;FBTYPE=${period.type}:${value}`;
+    }),
+    'END:VFREEBUSY',
+    'END:VCALENDAR',
+  ];
+  return serializeIcs(lines);
+}
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatIcsDateTimeInZone(date, timeZone) {
+  const parts = getTimeZoneParts(date, timeZone);
+  const datePart = `${parts.year}${pad2(parts.month)}${pad2(parts.day)}`;
+  return `${datePart}T${pad2(parts.hour)}${pad2(parts.minute)}${pad2(parts.second)}`;
+}
+
+function normalizeMailto(value) {
+  const email = String(value || '').trim().replace(/^mailto:/i, '');
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw new Error(`Invalid email address: ${value}`);
+  }
+  return `mailto:${email}`;
+}
+
+function buildInviteCalendar(invite) {
+  const { start, end, title, organizer, attendees, location } = invite;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//outlook-free-time//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:${crypto.randomUUID()}@outlook-free-time`,
+    `DTSTAMP:${formatIcsDateTimeUtc(new Date())}`,
+    `DTSTART:${formatIcsDateTimeUtc(start)}`,
+    `DTEND:${formatIcsDateTimeUtc(end)}`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    `ORGANIZER:${normalizeMailto(organizer)}`,
+    ...attendees.map((attendee) => {
+      const params = 'ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE';
+      return `ATTENDEE;${params}:${normalizeMailto(attendee)}`;
+    }),
+    'SEQUENCE:0',
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return serializeIcs(lines);
+}
+
+async function runBook(args, config) {
+  if (!args.at) {
+    throw new Error('book requires --at');
+  }
+  const meetingLengthMinutes = getMeetingLength(args, config);
+  if (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0) {
+    throw new Error('Meeting length must be a positive number of minutes');
+  }
+  const organizer = args.organizer || config.organizer;
+  if (!organizer) {
+    throw new Error('book requires --organizer or organizer in config.json');
+  }
+
+  const timeZone = normalizeTimeZone(config.timeZone);
+  const sources = selectCalendarSources(resolveCalendarSources(config), args.participants);
+  const settings = withParticipantSchedules(
+    buildScheduleSettings(config, timeZone),
+    sources,
+    config,
+  );
+  const { date, time } = parseDateTimeInput(args.at, timeZone);
+  const minSlotMs = meetingLengthMinutes * 60 * 1000;
+  const start = withTimeInZone(date, time, timeZone);
+  const end = new Date(start.getTime() + minSlotMs);
+
+  const { rangeStart, rangeEnd } = getRangeBounds(date, date, timeZone);
+  const instances = await loadSourceInstances(sources, rangeStart, rangeEnd);
+  const [plan] = planDays(date, date, settings);
+  if (plan.skipped) {
+    throw new Error(`${plan.label} is not a working day (${describeSkippedDay(plan.skipped)})`);
+  }
+  const slotTimes = `${formatTimeInZone(start, timeZone)}-${formatTimeInZone(end, timeZone)}`;
+  const slotLabel = `${plan.label} ${slotTimes}`;
+  if (!plan.workWindows.some((window) => window.start <= start && window.end >= end)) {
+    throw new Error(`Slot ${slotLabel} is outside working hours`);
+  }
+  const freeSlots = getFreeSlotsForDay(
+    instances,
+    plan.dayStart,
+    plan.dayEnd,
+    minSlotMs,
+    plan.excludeIntervals,
+  );
+  const fitsSlot = (slot) => slot.start <= start && slot.end >= end;
+  if (!freeSlots.some(fitsSlot)) {
+    const conflicts = collectBusyIntervalsForDay(
+      instances,
+      plan.dayStart,
+      plan.dayEnd,
+      plan.excludeIntervals,
+    )
+      .filter((interval) => interval.start < end && interval.end > start)
+      .map((interval) =>
+        interval.calendar ? `[${interval.calendar}] ${interval.label}` : interval.label,
+      );
+    throw new Error(`Slot ${slotLabel} is no longer free (busy: ${conflicts.join(', ')})`);
+  }
+  const limited = applyParticipantLoadLimits(freeSlots, instances, plan, minSlotMs, settings);
+  if (!limited.slots.some(fitsSlot)) {
+    throw new Error(`Slot ${slotLabel} is rejected by ${limited.reason}: ${limited.detail}`);
+  }
+
+  const payload = buildInviteCalendar({
+    start,
+    end,
+    title: args.title || 'Meeting',
+    organizer,
+    attendees: args.attendees,
+    location: args.location,
+  });
+  if (args.out === '-') {
+    process.stdout.write(payload);
+    return;
+  }
+  const stamp = formatIcsDateTimeInZone(start, timeZone || 'UTC').slice(0, 13).replace('T', '-');
+  const outPath = path.resolve(args.out || `invite-${stamp}.ics`);
+  fs.writeFileSync(outPath, payload);
+  console.log(`Wrote invite for ${slotLabel} to ${outPath}`);
+}
+
+function describeBusyIntervals(days, instances, timeZone) {
+  return days.map((plan) => {
+    if (plan.skipped) {
+      return { date: plan.date, label: plan.label, busy: [], skipped: plan.skipped };
+    }
+    const busy = collectBusyIntervalsForDay(
+      instances,
+      plan.dayStart,
+      plan.dayEnd,
+      plan.excludeIntervals,
+    )
+      .sort((a, b) => a.start.getTime() - b.start.getTime())
+      .map((interval) => {
+        const entry = {
+          start: formatTimeInZone(interval.start, timeZone),
+          end: formatTimeInZone(interval.end, timeZone),
+          label: interval.label,
+        };
+        if (interval.calendar) {
+          entry.calendar = interval.calendar;
+        }
+        if (interval.availability) {
+          entry.availability = interval.availability;
+          entry.treatment = interval.treatment;
+        }
+        return entry;
+      });
+    return { date: plan.date, label: plan.label, busy };
+  });
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+async function handleServerRequest(req, res, context) {
+  const { config, settings, sources, store } = context;
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  const url = new URL(req.url, 'http://localhost');
+  const route = url.pathname.replace(/\/+$/, '') || '/';
+  if (route !== '/free' && route !== '/busy' && route !== '/freebusy.ics') {
+    sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+    return;
+  }
+
+  const query = url.searchParams;
+  const date = route !== '/free' ? query.get('date') : null;
+  const dateInput = {
+    start: date || query.get('start'),
+    end: date || query.get('end'),
+    range: query.get('range'),
+  };
+  if (!dateInput.range && (!dateInput.start || !dateInput.end)) {
+    const error =
+      route !== '/free'
+        ? 'date (or start and end, or range) is required'
+        : 'start and end (or range) are required';
+    sendJson(res, 400, { error });
+    return;
+  }
+  let startDate;
+  let endDate;
+  let selected;
+  try {
+    ({ startDate, endDate } = resolveDateRange(dateInput, settings));
+    selected = selectCalendarSources(sources, splitList(query.get('participants')));
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, settings.timeZone);
+  let instances;
+  try {
+    instances = await loadSourceInstances(selected, rangeStart, rangeEnd, store.load);
+  } catch (error) {
+    sendJson(res, 502, { error: error.message });
+    return;
+  }
+  const requestSettings = withParticipantSchedules(settings, selected, config);
+  const days = planDays(startDate, endDate, requestSettings);
+
+  if (route === '/busy') {
+    sendJson(res, 200, describeBusyIntervals(days, instances, settings.timeZone));
+    return;
+  }
+  if (route === '/freebusy.ics') {
+    const payload = buildFreeBusyCalendar(days, instances, startDate, endDate, settings.timeZone);
+    res.writeHead(200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+    return;
+  }
+
+  const meetingLengthMinutes = Number.parseInt(query.get('length') || config.lengthMinutes, 10);
+  if (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0) {
+    sendJson(res, 400, { error: 'length must be a positive number of minutes' });
+    return;
+  }
+  const calendarNames = config.calendars ? selected.map((source) => source.name) : null;
+  sendJson(
+    res,
+    200,
+    computeAvailability(
+      days,
+      instances,
+      meetingLengthMinutes * 60 * 1000,
+      requestSettings,
+      calendarNames,
+    ),
+  );
+}
+
+function runServer(args, config) {
+  if (!Number.isFinite(args.port) || args.port <= 0 || args.port > 65535) {
+    throw new Error('--port must be a valid port number');
+  }
+  if (config.icsStdin) {
+    throw new Error('serve cannot read the calendar from stdin');
+  }
+  const timeZone = normalizeTimeZone(config.timeZone);
+  const context = {
+    config,
+    settings: buildScheduleSettings(config, timeZone),
+    sources: resolveCalendarSources(config),
+    store: createCalendarStore(),
+  };
+  const server = http.createServer((req, res) => {
+    handleServerRequest(req, res, context).catch((error) => {
+      sendJson(res, 500, { error: error.message });
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(args.port, args.host, () => {
+      console.log(`Listening on http://${args.host}:${args.port}`);
+    });
+    server.on('close', resolve);
+  });
+}
+
+function collectFreeIntervals(days, instances, meetingLengthMs, settings) {
+  const free = new Map();
+  for (const plan of days) {
+    const slots = plan.skipped
+      ? []
+      : computeDaySlots(plan, instances, meetingLengthMs, settings).alignedSlots;
+    free.set(plan.date, { plan, slots });
+  }
+  return free;
+}
+
+function describeWatchChange(plan, slot, status, settings) {
+  const { timeZone } = settings;
+  return withSlotZones(
+    {
+      date: plan.date,
+      label: plan.label,
+      weekday: getWeekdayFormatter(timeZone).format(slot.start),
+      start: formatTimeInZone(slot.start, timeZone),
+      end: formatTimeInZone(slot.end, timeZone),
+      status,
+    },
+    slot.start,
+    slot.end,
+    settings,
+  );
+}
+
+function diffFreeIntervals(previous, current, settings) {
+  const changes = [];
+  for (const [date, { plan, slots }] of current) {
+    if (!previous.has(date)) {
+      continue;
+    }
+    const before = previous.get(date).slots;
+    const taken = subtractIntervals(before, slots).map((slot) => ({ slot, status: 'taken' }));
+    const freed = subtractIntervals(slots, before).map((slot) => ({ slot, status: 'freed' }));
+    taken
+      .concat(freed)
+      .sort((a, b) => a.slot.start.getTime() - b.slot.start.getTime())
+      .forEach(({ slot, status }) => {
+        changes.push(describeWatchChange(plan, slot, status, settings));
+      });
+  }
+  return changes;
+}
+
+function formatWatchChange(change, settings) {
+  const status = change.status === 'taken' ? 'no longer free' : 'became free';
+  const times = formatSlotTimes(localizeSlot(change, settings));
+  return `${formatLocalDayHeading(change, settings)} ${times} ${status}`;
+}
+
+function runWatchCommand(command, payload, lines) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, OUTLOOK_FREE_TIME_CHANGES: lines.join('\n') },
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`watch command exited with code ${code}`));
+        return;
+      }
+      resolve();
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(payload);
+  });
+}
+
+async function postWatchWebhook(url, payload, config) {
+  const response = await requestText(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+    },
+    body: payload,
+    timeoutMs: normalizeFetchSettings(config).timeoutMs,
+  });
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`watch webhook returned HTTP ${response.status}`);
+  }
+}
+
+async function notifyWatchChanges(changes, lines, hooks, config) {
+  const payload = JSON.stringify({ checkedAt: new Date().toISOString(), changes });
+  const notifications = [];
+  if (hooks.command) {
+    notifications.push(runWatchCommand(hooks.command, payload, lines));
+  }
+  if (hooks.webhook) {
+    notifications.push(postWatchWebhook(hooks.webhook, payload, config));
+  }
+  for (const result of await Promise.allSettled(notifications)) {
+    if (result.status === 'rejected') {
+      console.warn(`Warning: ${result.reason.message}`);
+    }
+  }
+}
+
+async function runWatch(args, config) {
+  const meetingLengthMinutes = getMeetingLength(args, config);
+  if (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0) {
+    throw new Error('Meeting length must be a positive number of minutes');
+  }
+  if (config.icsStdin) {
+    throw new Error('watch cannot read the calendar from stdin');
+  }
+  const outputFormat = String(args.format || 'text').trim().toLowerCase();
+  const timeZone = normalizeTimeZone(config.timeZone);
+  const sources = selectCalendarSources(resolveCalendarSources(config), args.participants);
+  const settings = withParticipantSchedules(
+    buildScheduleSettings(config, timeZone),
+    sources,
+    config,
+  );
+  const hooks = {
+    command: args.hook || config.watchCommand || null,
+    webhook: args.webhook || config.watchWebhook || null,
+  };
+  assertConfigValue(
+    hooks.webhook,
+    CONFIG_SCHEMA.properties.watchWebhook,
+    args.webhook ? '--webhook' : 'watchWebhook',
+  );
+  const dateInput = args.start || args.range ? args : { range: 'next-7-days' };
+  const intervalMinutes = Math.min(
+    ...sources.map((source) => normalizeCacheMaxAgeMinutes(source.cacheMaxAgeMinutes)),
+  );
+  const meetingLengthMs = meetingLengthMinutes * 60 * 1000;
+  const store = createCalendarStore();
+  let previous = null;
+
+  const check = async () => {
+    const { startDate, endDate } = resolveDateRange(dateInput, settings);
+    const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, timeZone);
+    const instances = await loadSourceInstances(sources, rangeStart, rangeEnd, store.load);
+    const days = planDays(startDate, endDate, settings);
+    const current = collectFreeIntervals(days, instances, meetingLengthMs, settings);
+    const changes = previous ? diffFreeIntervals(previous, current, settings) : [];
+    previous = current;
+    if (changes.length === 0) {
+      return;
+    }
+    const lines = changes.map((change) => formatWatchChange(change, settings));
+    if (outputFormat === 'json') {
+      console.log(JSON.stringify({ checkedAt: new Date().toISOString(), changes }));
+    } else {
+      console.log(lines.join('\n'));
+    }
+    await notifyWatchChanges(changes, lines, hooks, config);
+  };
+
+  await check();
+  if (outputFormat !== 'json') {
+    const labels = [...previous.values()].map((entry) =>
+      formatLocalDateLabel(entry.plan.dayStart, settings),
+    );
+    const span = labels.length > 0 ? `${labels[0]}-${labels[labels.length - 1]}` : 'no days';
+    console.log(
+      `Watching ${span} for ${meetingLengthMinutes} min slots, every ${intervalMinutes} min`,
+    );
+  }
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    if (wake) {
+      wake();
+    }
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  while (!stopping) {
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, intervalMinutes * 60 * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    if (stopping) {
+      break;
+    }
+    try {
+      await check();
+    } catch (error) {
+      console.warn(`Warning: ${error.message}`);
+    }
+  }
+  process.removeListener('SIGINT', stop);
+  process.removeListener('SIGTERM', stop);
+  if (outputFormat !== 'json') {
+    console.log('Stopped watching');
+  }
+}
+
+function formatIsoWeek(day) {
+  const thursday = addDays(getWeekStart(day), 3);
+  const year = thursday.getFullYear();
+  const firstWeek = getWeekStart(buildDate(year, 1, 4));
+  const week = Math.round((thursday - firstWeek) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  return `${year}-W${pad2(week)}`;
+}
+
+function getBookedShare(meetingMinutes, workMinutes) {
+  return workMinutes > 0 ? Math.round((meetingMinutes / workMinutes) * 1000) / 1000 : 0;
+}
+
+function measureReportDay(plan, instances, settings) {
+  const load = measureMeetingLoad(instances, plan);
+  const workMinutes = plan.workWindows.reduce(
+    (total, window) => total + (window.end.getTime() - window.start.getTime()) / 60000,
+    0,
+  );
+  const gaps = getFreeSlotsForDay(instances, plan.dayStart, plan.dayEnd, 1, plan.excludeIntervals);
+  const gridMs = settings.timeGridMinutes * 60 * 1000;
+  const longest = gaps.reduce(
+    (best, gap) => (!best || gap.end - gap.start > best.end - best.start ? gap : best),
+    null,
+  );
+  return {
+    date: plan.date,
+    label: plan.label,
+    weekday: getWeekdayFormatter(settings.timeZone).format(plan.dayStart),
+    week: formatIsoWeek(plan.day),
+    meetings: load.count,
+    meetingMinutes: load.minutes,
+    workMinutes,
+    bookedShare: getBookedShare(load.minutes, workMinutes),
+    longestFree: longest
+      ? {
+          start: formatTimeInZone(longest.start, settings.timeZone),
+          end: formatTimeInZone(longest.end, settings.timeZone),
+          minutes: (longest.end.getTime() - longest.start.getTime()) / 60000,
+        }
+      : null,
+    shortGaps: gaps.filter((gap) => gap.end.getTime() - gap.start.getTime() < gridMs).length,
+  };
+}
+
+function sumReportDays(days) {
+  const meetings = days.reduce((total, day) => total + day.meetings, 0);
+  const meetingMinutes = days.reduce((total, day) => total + day.meetingMinutes, 0);
+  const workMinutes = days.reduce((total, day) => total + day.workMinutes, 0);
+  return {
+    days: days.length,
+    meetings,
+    meetingMinutes,
+    workMinutes,
+    bookedShare: getBookedShare(meetingMinutes, workMinutes),
+  };
+}
+
+function collectMeetingBreakdown(days, instances) {
+  const groups = new Map();
+  for (const plan of getWorkingDays(days)) {
+    for (const meeting of collectDayMeetings(instances, plan)) {
+      const key = meeting.series || `event:${meeting.label}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          summary: meeting.label,
+          recurring: Boolean(meeting.series),
+          meetings: 0,
+          minutes: 0,
+        });
+      }
+      const group = groups.get(key);
+      group.meetings += 1;
+      group.minutes += (meeting.end.getTime() - meeting.start.getTime()) / 60000;
+    }
+  }
+  return [...groups.values()].sort(
+    (a, b) => b.minutes - a.minutes || a.summary.localeCompare(b.summary),
+  );
+}
+
+function buildMeetingReport(days, instances, settings) {
+  const measured = days.map((plan) =>
+    plan.skipped
+      ? {
+          date: plan.date,
+          label: plan.label,
+          weekday: getWeekdayFormatter(settings.timeZone).format(plan.dayStart),
+          skipped: plan.skipped,
+        }
+      : measureReportDay(plan, instances, settings),
+  );
+  const working = measured.filter((day) => !day.skipped);
+  const weeks = [];
+  for (const day of working) {
+    if (weeks.length === 0 || weeks[weeks.length - 1].week !== day.week) {
+      weeks.push({ week: day.week, days: [] });
+    }
+    weeks[weeks.length - 1].days.push(day);
+  }
+  return {
+    timeZone: settings.timeZone || getHostTimeZone(),
+    days: measured,
+    weeks: weeks.map((week) => ({ week: week.week, ...sumReportDays(week.days) })),
+    total: sumReportDays(working),
+    breakdown: collectMeetingBreakdown(days, instances),
+  };
+}
+
+function formatTextTable(rows, rightAligned) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => String(row[column]).length)),
+  );
+  return rows.map((row) =>
+    row
+      .map((cell, column) =>
+        rightAligned.includes(column)
+          ? String(cell).padStart(widths[column])
+          : String(cell).padEnd(widths[column]),
+      )
+      .join('  ')
+      .trimEnd(),
+  );
+}
+
+function formatReportLines(report, settings) {
+  const hours = (minutes) => (minutes / 60).toFixed(1);
+  const percent = (share) => `${Math.round(share * 100)}%`;
+  const dayRows = report.days.map((day) => {
+    const heading = formatLocalDayHeading(day, settings);
+    if (day.skipped) {
+      return [heading, '', '', '', `(${describeSkippedDay(day.skipped)})`, ''];
+    }
+    const longestFree = day.longestFree && localizeSlot(day.longestFree, settings);
+    const longest = longestFree
+      ? `${longestFree.start}-${longestFree.end} (${hours(longestFree.minutes)}h)`
+      : '-';
+    return [
+      heading,
+      day.meetings,
+      hours(day.meetingMinutes),
+      percent(day.bookedShare),
+      longest,
+      day.shortGaps,
+    ];
+  });
+  const summaryRows = [
+    ...report.weeks.map((week) => [`Week ${week.week}`, week]),
+    ['Total', report.total],
+  ].map(([label, sum]) => [
+    label,
+    sum.meetings,
+    hours(sum.meetingMinutes),
+    percent(sum.bookedShare),
+    '',
+    '',
+  ]);
+  const lines = formatTextTable(
+    [
+      ['Day', 'Meetings', 'Hours', 'Booked', 'Longest free', 'Short gaps'],
+      ...dayRows,
+      ...summaryRows,
+    ],
+    [1, 2, 3, 5],
+  );
+  if (report.breakdown.length > 0) {
+    lines.push('');
+    lines.push(
+      ...formatTextTable(
+        [
+          ['Summary', 'Meetings', 'Hours'],
+          ...report.breakdown.map((group) => [
+            group.recurring ? `${group.summary} (recurring)` : group.summary,
+            group.meetings,
+            hours(group.minutes),
+          ]),
+        ],
+        [1, 2],
+      ),
+    );
   }
-  const minutes = parts.hour * 60 + parts.minute;
-  const remainder = minutes % gridMinutes;
-  const delta = remainder === 0 ? 0 : gridMinutes - remainder;
-  const base = makeDateInTimeZone(parts.year, parts.month, parts.day, 0, 0, 0, timeZone);
-  return new Date(base.getTime() + (minutes + delta) * 60 * 1000);
+  return lines;
 }
 
-function floorToGrid(date, gridMinutes, timeZone) {
-  if (!timeZone) {
-    const aligned = new Date(date.getTime());
-    aligned.setSeconds(0, 0);
-    const minutes = aligned.getHours() * 60 + aligned.getMinutes();
-    const remainder = minutes % gridMinutes;
-    if (remainder === 0) {
-      return aligned;
-    }
-    aligned.setMinutes(aligned.getMinutes() - remainder);
-    return aligned;
+async function runReport(args, config) {
+  const outputFormat = String(args.format || 'text').trim().toLowerCase();
+  if (!['block', 'text', 'table', 'json'].includes(outputFormat)) {
+    throw new Error('report format must be table or json');
   }
-  const parts = getTimeZoneParts(date, timeZone);
-  if (!parts) {
-    return floorToGrid(date, gridMinutes, null);
+  const timeZone = normalizeTimeZone(config.timeZone);
+  const sources = selectCalendarSources(resolveCalendarSources(config), args.participants);
+  const settings = withParticipantSchedules(
+    buildScheduleSettings(config, timeZone),
+    sources,
+    config,
+  );
+  const dateInput = args.start || args.range ? args : { range: 'this-week' };
+  const { startDate, endDate } = resolveDateRange(dateInput, settings);
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, timeZone);
+  const instances = await loadSourceInstances(sources, rangeStart, rangeEnd);
+  const report = {
+    start: toIsoDate(startDate),
+    end: toIsoDate(endDate),
+    ...buildMeetingReport(planDays(startDate, endDate, settings), instances, settings),
+  };
+  if (outputFormat === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+    return;
   }
-  const minutes = parts.hour * 60 + parts.minute;
-  const remainder = minutes % gridMinutes;
-  const base = makeDateInTimeZone(parts.year, parts.month, parts.day, 0, 0, 0, timeZone);
-  return new Date(base.getTime() + (minutes - remainder) * 60 * 1000);
+  console.log(formatReportLines(report, settings).join('\n'));
 }
 
-function withTimeInZone(day, time, timeZone) {
-  if (!timeZone) {
-    return withTime(day, time);
+function getTimeOfDayMinutes(value) {
+  const time = parseTimeOfDay(value);
+  return time.hours * 60 + time.minutes;
+}
+
+function getWindowsSpan(windows) {
+  if (windows.length === 0) {
+    return null;
   }
-  return makeDateInTimeZone(
-    day.getFullYear(),
-    day.getMonth() + 1,
-    day.getDate(),
-    time.hours,
-    time.minutes,
-    0,
-    timeZone,
+  const byStart = windows.slice().sort(
+    (a, b) => getTimeOfDayMinutes(a.start) - getTimeOfDayMinutes(b.start),
+  );
+  const byEnd = windows.slice().sort(
+    (a, b) => getTimeOfDayMinutes(a.end) - getTimeOfDayMinutes(b.end),
   );
+  return { start: byStart[0].start, end: byEnd[byEnd.length - 1].end };
 }
 
-function isSameDay(left, right) {
-  return (
-    left.getFullYear() === right.getFullYear() &&
-    left.getMonth() === right.getMonth() &&
-    left.getDate() === right.getDate()
+function getWorkHoursSpan(config, weekdayKey) {
+  const workingHours = config.workingHours || {};
+  const rawKey = Object.keys(workingHours).find(
+    (key) => !/\d/.test(key) && normalizeWeekdayKey(key) === weekdayKey,
   );
+  if (rawKey) {
+    return getWindowsSpan(toTimeWindowList(workingHours[rawKey]));
+  }
+  return {
+    start: config.workDayStart || DEFAULT_WORK_DAY_START,
+    end: config.workDayEnd || DEFAULT_WORK_DAY_END,
+  };
 }
 
-function* iterateDays(startDate, endDate) {
-  const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-  const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-  while (cursor <= last) {
-    yield new Date(cursor);
-    cursor.setDate(cursor.getDate() + 1);
+function checkWindowsWithinWorkHours(rawWindows, pathName, span, issues) {
+  if (!span) {
+    return;
   }
+  const spanStart = getTimeOfDayMinutes(span.start);
+  const spanEnd = getTimeOfDayMinutes(span.end);
+  toTimeWindowList(rawWindows).forEach((window, index) => {
+    const start = getTimeOfDayMinutes(window.start);
+    const end = getTimeOfDayMinutes(window.end);
+    if (start >= spanStart && end <= spanEnd) {
+      return;
+    }
+    const outside = end <= spanStart || start >= spanEnd;
+    issues.push({
+      level: 'warning',
+      path: Array.isArray(rawWindows) ? formatConfigPath(pathName, index) : pathName,
+      message: `${window.start}-${window.end} ${
+        outside ? 'is outside' : 'extends past'
+      } work hours ${span.start}-${span.end}`,
+    });
+  });
 }
 
-async function loadCalendar(config) {
-  if (config.icsFile) {
-    const filePath = path.resolve(config.configDir, config.icsFile);
-    return ical.sync.parseFile(filePath);
+function checkOverlappingWindows(rawWindows, pathName, issues) {
+  for (const [first, second] of findOverlappingWindows(rawWindows)) {
+    issues.push({
+      level: 'warning',
+      path: formatConfigPath(pathName, first),
+      message: `overlaps ${formatConfigPath(pathName, second)}`,
+    });
   }
-  if (config.icsUrl) {
-    const cachePath = await ensureCachedIcs(config);
-    return ical.sync.parseFile(cachePath);
-  }
-  throw new Error('config.json must include icsUrl or icsFile');
-}
-
-function buildKeyCandidates(date) {
-  const utcIso = date.toISOString();
-  const utcIsoNoMs = utcIso.replace('.000Z', 'Z');
-  const utcY = date.getUTCFullYear();
-  const utcM = pad2(date.getUTCMonth() + 1);
-  const utcD = pad2(date.getUTCDate());
-  const utcH = pad2(date.getUTCHours());
-  const utcMin = pad2(date.getUTCMinutes());
-  const utcS = pad2(date.getUTCSeconds());
-  const utcDateOnly = `${utcY}-${utcM}-${utcD}`;
-  const utcCompact = `${utcY}${utcM}${utcD}T${utcH}${utcMin}${utcS}Z`;
-
-  const localY = date.getFullYear();
-  const localM = pad2(date.getMonth() + 1);
-  const localD = pad2(date.getDate());
-  const localH = pad2(date.getHours());
-  const localMin = pad2(date.getMinutes());
-  const localS = pad2(date.getSeconds());
-  const localDateOnly = `${localY}-${localM}-${localD}`;
-  const localDateTime = `${localDateOnly}T${localH}:${localMin}:${localS}`;
-  const localCompact = `${localY}${localM}${localD}T${localH}${localMin}${localS}`;
-
-  return [
-    utcIso,
-    utcIsoNoMs,
-    utcDateOnly,
-    utcCompact,
-    localDateOnly,
-    localDateTime,
-    localCompact,
-  ];
 }
 
-function normalizeKeyDigits(value) {
-  if (!value) {
-    return '';
-  }
-  const text = String(value);
-  const digits = text.replace(/\D/g, '');
-  if (!digits) {
-    return '';
+function collectConfigWarnings(config) {
+  const issues = [];
+  const dailySpan = getWindowsSpan(
+    WEEKDAY_KEYS.map((key) => getWorkHoursSpan(config, key)).filter(Boolean),
+  );
+  for (const key of ['excludeTime', 'preferredHours']) {
+    checkWindowsWithinWorkHours(config[key], key, dailySpan, issues);
   }
-  if (text.includes('T') || digits.length > 8) {
-    if (digits.length >= 14) {
-      return digits.slice(0, 14);
-    }
-    if (digits.length >= 12) {
-      return digits.slice(0, 12);
+  checkOverlappingWindows(config.excludeTime, 'excludeTime', issues);
+  for (const [rawKey, rawWindows] of Object.entries(config.excludeTimeWeekly || {})) {
+    const pathName = formatConfigPath('excludeTimeWeekly', rawKey);
+    const span = getWorkHoursSpan(config, normalizeWeekdayKey(rawKey));
+    if (!span) {
+      issues.push({ level: 'warning', path: pathName, message: 'applies to a day off' });
+      continue;
     }
+    checkWindowsWithinWorkHours(rawWindows, pathName, span, issues);
+    checkOverlappingWindows(rawWindows, pathName, issues);
   }
-  if (digits.length >= 8) {
-    return digits.slice(0, 8);
-  }
-  return digits;
+  return issues;
 }
 
-function buildCandidateDigitSet(date) {
-  const candidates = buildKeyCandidates(date);
-  const set = new Set();
-  for (const candidate of candidates) {
-    const digits = normalizeKeyDigits(candidate);
-    if (!digits) {
-      continue;
+function describeConfigSources(config) {
+  return resolveCalendarSources(config).map((source) => {
+    const entry = { name: source.name };
+    if (source.caldavUrl) {
+      entry.caldavUrl = source.caldavUrl;
+    } else if (source.icsFile) {
+      entry.icsFile = path.resolve(source.configDir, source.icsFile);
+    } else if (source.icsUrl) {
+      entry.cacheFile = resolveCachePath(source);
+      entry.cacheMaxAgeMinutes = normalizeCacheMaxAgeMinutes(source.cacheMaxAgeMinutes);
     }
-    if (digits.length === 14) {
-      set.add(digits);
-      if (digits.endsWith('00')) {
-        set.add(digits.slice(0, 12));
-      }
-    } else if (digits.length === 12) {
-      set.add(digits);
-      set.add(`${digits}00`);
-    } else if (digits.length === 8) {
-      set.add(digits);
-    } else {
-      set.add(digits);
+    const parsedCacheDir = getSourceCacheDir(source);
+    if (parsedCacheDir) {
+      entry.parsedCacheDir = parsedCacheDir;
     }
+    return entry;
+  });
+}
+
+function describeConfigSource(entry) {
+  const label = entry.name ? `Calendar ${entry.name}` : 'Calendar';
+  if (entry.caldavUrl) {
+    return `${label}: CalDAV ${entry.caldavUrl} (not cached)`;
+  }
+  const parsed = `parsed cache ${entry.parsedCacheDir}`;
+  if (entry.icsFile) {
+    return `${label}: file ${entry.icsFile} (${parsed})`;
   }
-  return set;
+  if (entry.cacheFile) {
+    const refresh = `refreshed after ${entry.cacheMaxAgeMinutes} min`;
+    return `${label}: cache ${entry.cacheFile} (${refresh}; ${parsed})`;
+  }
+  return `${label}: none (pass --ics)`;
 }
 
-function findMapEntry(map, date) {
-  if (!map) {
-    return null;
+function runCheckConfig(args) {
+  const { layers, files, profile, configPath, configDir } = collectConfigLayers(args);
+  const issues = validateConfigLayers(layers);
+  const report = {
+    configPath,
+    configFiles: files,
+    profile,
+    timeZone: null,
+    calendars: [],
+  };
+  const hasErrors = () => issues.some((issue) => issue.level === 'error');
+  const config = hasErrors() ? null : { ...mergeConfigLayers(layers).config, configDir };
+  if (config) {
+    issues.push(...checkMergedConfig(config));
   }
-  const keys = buildKeyCandidates(date);
-  for (const key of keys) {
-    if (Object.prototype.hasOwnProperty.call(map, key)) {
-      return map[key];
-    }
+  if (config && !hasErrors()) {
+    issues.push(...collectConfigWarnings(config));
+    const timeZone = normalizeTimeZone(config.timeZone);
+    report.timeZone = timeZone || getHostTimeZone();
+    report.timeZoneSource = timeZone ? 'timeZone' : 'system';
+    report.calendars = describeConfigSources(config);
+  }
+  report.errors = issues.filter((issue) => issue.level === 'error');
+  report.warnings = issues.filter((issue) => issue.level === 'warning');
+  if (report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (String(args.format).trim().toLowerCase() === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const lines = files.map((file) => `Config: ${file}`);
+  if (profile) {
+    lines.push(`Profile: ${profile}`);
+  }
+  if (report.timeZone) {
+    const source = report.timeZoneSource === 'system' ? ' (system default)' : '';
+    lines.push(`Time zone: ${report.timeZone}${source}`);
+    lines.push(...report.calendars.map(describeConfigSource));
+  }
+  for (const issue of issues) {
+    lines.push(`${issue.level === 'error' ? 'Error' : 'Warning'}: ${formatLayerIssue(issue)}`);
   }
-  const candidateDigits = buildCandidateDigitSet(date);
-  for (const [key, value] of Object.entries(map)) {
-    const keyDigits = normalizeKeyDigits(key);
-    if (!keyDigits) {
+  const count = (total, noun) => `${total} ${noun}${total === 1 ? '' : 's'}`;
+  lines.push(
+    issues.length === 0
+      ? 'No problems found'
+      : `${count(report.errors.length, 'error')}, ${count(report.warnings.length, 'warning')}`,
+  );
+  console.log(lines.join('\n'));
+}
+
+function printDebugIntervals(days, instances, debugDate, timeZone) {
+  for (const plan of days) {
+    if (debugDate && !isSameDay(plan.day, debugDate)) {
+      continue;
+    }
+    if (plan.skipped) {
+      console.error(`${plan.label} skipped: ${describeSkippedDay(plan.skipped)}`);
+      continue;
+    }
+    const busyIntervals = collectBusyIntervalsForDay(
+      instances,
+      plan.dayStart,
+      plan.dayEnd,
+      plan.excludeIntervals,
+    ).sort((a, b) => a.start.getTime() - b.start.getTime());
+    console.error(`${plan.label} busy:`);
+    if (busyIntervals.length === 0) {
+      console.error('  (none)');
       continue;
     }
-    if (candidateDigits.has(keyDigits)) {
-      return value;
+    for (const interval of busyIntervals) {
+      console.error(
+        `  ${formatTimeInZone(interval.start, timeZone)}-${formatTimeInZone(
+          interval.end,
+          timeZone,
+        )}${interval.calendar ? ` [${interval.calendar}]` : ''}${
+          interval.label ? ` ${interval.label}` : ''
+        }${
+          interval.availability && interval.availability !== 'busy'
+            ? ` (${interval.availability}, ${interval.treatment})`
+            : ''
+        }`,
+      );
     }
   }
-  return null;
 }
 
-function mapHasDate(map, date) {
-  return Boolean(findMapEntry(map, date));
+function formatTentativeSlot(slot) {
+  return `${slot.start}-${slot.end} (tentative: ${slot.overlaps.join(', ')})`;
 }
 
-function extractRDates(event) {
-  const rdate = event.rdate;
-  if (!rdate) {
-    return [];
+function describeNoAvailability(dayResult) {
+  if (dayResult.slots.length === 0 && dayResult.omitted && dayResult.omitted.length > 0) {
+    return `(no availability: ${dayResult.omitted[0].detail})`;
   }
-  const dates = [];
-  const pushDate = (value) => {
-    if (value instanceof Date && !Number.isNaN(value.getTime())) {
-      dates.push(value);
-    }
-  };
+  return '(no availability)';
+}
 
-  if (Array.isArray(rdate)) {
-    for (const value of rdate) {
-      if (Array.isArray(value)) {
-        for (const nested of value) {
-          pushDate(nested);
-        }
+function formatResultLines(results, outputFormat) {
+  const lines = [];
+  for (const dayResult of results) {
+    const { label, slots, tentative = [] } = dayResult;
+    const noAvailability = describeNoAvailability(dayResult);
+    if (dayResult.skipped) {
+      const skippedText = `(${describeSkippedDay(dayResult.skipped)})`;
+      if (outputFormat === 'block') {
+        lines.push(`${label}:`, `  ${skippedText}`);
       } else {
-        pushDate(value);
+        lines.push(`${label}: ${skippedText}`);
       }
+      continue;
     }
-  } else if (typeof rdate === 'object') {
-    for (const value of Object.values(rdate)) {
-      if (Array.isArray(value)) {
-        for (const nested of value) {
-          pushDate(nested);
-        }
+    if (outputFormat === 'text') {
+      const formatted =
+        slots.length === 0
+          ? noAvailability
+          : slots.map(formatSlotTimes).join(' & ');
+      const tentativeText =
+        tentative.length > 0 ? ` | ${tentative.map(formatTentativeSlot).join(' & ')}` : '';
+      lines.push(`${label}: ${formatted}${tentativeText}`);
+    } else if (outputFormat === 'list') {
+      if (slots.length === 0 && tentative.length === 0) {
+        lines.push(`${label}: ${noAvailability}`);
+        continue;
+      }
+      for (const slot of slots) {
+        lines.push(`${label} ${formatSlotTimes(slot)}`);
+      }
+      for (const slot of tentative) {
+        lines.push(`${label} ${formatTentativeSlot(slot)}`);
+      }
+    } else if (outputFormat === 'block') {
+      lines.push(`${label}:`);
+      if (slots.length === 0) {
+        lines.push(`  ${noAvailability}`);
       } else {
-        pushDate(value);
+        for (const slot of slots) {
+          lines.push(`  ${formatSlotTimes(slot)}`);
+        }
+      }
+      for (const slot of tentative) {
+        lines.push(`  ${formatTentativeSlot(slot)}`);
       }
     }
-  } else {
-    pushDate(rdate);
   }
-
-  return dates;
+  return lines;
 }
 
-function getEventDurationMs(event) {
-  if (event.start instanceof Date && event.end instanceof Date) {
-    return event.end.getTime() - event.start.getTime();
-  }
-  if (event.duration && typeof event.duration.asMilliseconds === 'function') {
-    return event.duration.asMilliseconds();
-  }
-  if (event.duration && typeof event.duration.toSeconds === 'function') {
-    return event.duration.toSeconds() * 1000;
-  }
-  return 0;
+function getDayHeading(plan, settings) {
+  const label = formatLocalDateLabel(plan.dayStart, settings);
+  return `${formatLocalWeekday(plan.dayStart, settings)} ${label}`;
 }
 
-function resolveEventTime(event) {
-  if (!event || !(event.start instanceof Date) || Number.isNaN(event.start.getTime())) {
-    return null;
-  }
-  let end = event.end instanceof Date ? event.end : null;
-  if (!end || Number.isNaN(end.getTime())) {
-    const durationMs = getEventDurationMs(event);
-    if (Number.isFinite(durationMs) && durationMs > 0) {
-      end = new Date(event.start.getTime() + durationMs);
-    }
-  }
-  if (!end || Number.isNaN(end.getTime())) {
-    return null;
+function describeDayCell(dayResult) {
+  if (dayResult.skipped) {
+    return `(${describeSkippedDay(dayResult.skipped)})`;
   }
-  return { start: event.start, end };
+  return dayResult.slots.length === 0
+    ? describeNoAvailability(dayResult)
+    : dayResult.slots.map(formatSlotTimes).join(', ');
 }
 
-function getEventLabel(event) {
-  return event.summary || event.description || event.uid || 'Busy';
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|');
 }
 
-function normalizeIgnoreSummaries(rawIgnore) {
-  const defaults = ['vapaa'];
-  if (!rawIgnore) {
-    return new Set(defaults);
-  }
-  const items = Array.isArray(rawIgnore) ? rawIgnore : [rawIgnore];
-  const normalized = defaults.slice();
-  for (const item of items) {
-    const value = String(item || '').trim().toLowerCase();
-    if (value) {
-      normalized.push(value);
+function renderMarkdown(results, context) {
+  const withTentative = results.some((dayResult) => (dayResult.tentative || []).length > 0);
+  const header = withTentative ? ['Day', 'Free', 'Tentative'] : ['Day', 'Free'];
+  const rows = results.map((dayResult, index) => {
+    const cells = [getDayHeading(context.days[index], context.settings)];
+    cells.push(describeDayCell(dayResult));
+    if (withTentative) {
+      cells.push((dayResult.tentative || []).map(formatTentativeSlot).join(', '));
     }
-  }
-  return new Set(normalized);
+    return cells;
+  });
+  return [header, header.map(() => '---'), ...rows]
+    .map((cells) => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`)
+    .join('\n');
 }
 
-function isIgnoredSummary(summary, ignoreSummaries) {
-  if (!ignoreSummaries || ignoreSummaries.size === 0) {
-    return false;
-  }
-  const value = String(summary || '').trim().toLowerCase();
-  return value ? ignoreSummaries.has(value) : false;
+function getMinutesInZone(date, timeZone) {
+  return getTimeOfDayMinutes(formatTimeInZone(date, timeZone));
 }
 
-function expandRecurring(event, rangeStart, rangeEnd) {
-  const durationMs = getEventDurationMs(event);
-  if (!Number.isFinite(durationMs) || durationMs <= 0) {
-    return [];
-  }
-  const dates = event.rrule ? event.rrule.between(rangeStart, rangeEnd, true) : [];
-  const rdates = extractRDates(event);
-  const allDates = dates.concat(rdates);
-  const instances = [];
-  const seen = new Set();
-  const label = getEventLabel(event);
-  const eventTimeZone = resolveEventTimeZone(event);
+function overlapsAny(intervals, start, end) {
+  return intervals.some((interval) => interval.start < end && interval.end > start);
+}
 
-  for (const date of allDates) {
-    if (!(date instanceof Date)) {
-      continue;
-    }
-    const time = date.getTime();
-    if (Number.isNaN(time) || seen.has(time)) {
-      continue;
-    }
-    seen.add(time);
-    const adjustedDate = alignToEventWallTime(date, event.start, eventTimeZone);
-    const override =
-      findMapEntry(event.recurrences, adjustedDate) ||
-      findMapEntry(event.recurrences, date);
-    if (override) {
-      if (override.status === 'CANCELLED') {
-        continue;
-      }
-      const overrideRange = resolveEventTime(override);
-      if (overrideRange) {
-        instances.push({ ...overrideRange, label });
-      }
-      continue;
-    }
-    if (mapHasDate(event.exdate, adjustedDate) || mapHasDate(event.exdate, date)) {
-      continue;
-    }
-    instances.push({
-      start: adjustedDate,
-      end: new Date(adjustedDate.getTime() + durationMs),
-      label,
-    });
+function classifyGridCell(day, start, end) {
+  if (!day.plan || start < day.plan.dayStart || end > day.plan.dayEnd) {
+    return 'off';
   }
-
-  return instances;
+  if (day.free.some((slot) => slot.start <= start && slot.end >= end)) {
+    return 'free';
+  }
+  if (overlapsAny(day.busy, start, end)) {
+    return 'busy';
+  }
+  return overlapsAny(day.plan.excludeIntervals, start, end) ? 'excluded' : 'open';
 }
 
-function collectEventInstances(calendarData, rangeStart, rangeEnd, ignoreSummaries) {
-  const instances = [];
-  const entries = Object.values(calendarData || {});
+function toPlanInterval(plan, slot, timeZone) {
+  const start = withTimeInZone(plan.day, parseTimeOfDay(slot.start), timeZone);
+  const end = withTimeInZone(plan.day, parseTimeOfDay(slot.end), timeZone);
+  return { start, end: end > start ? end : plan.dayEnd };
+}
 
-  for (const entry of entries) {
-    if (!entry) {
-      continue;
+function buildWeekGrid(results, context) {
+  const { days, instances, settings } = context;
+  const { timeZone, timeGridMinutes } = settings;
+  const columns = days.map((plan, index) => {
+    if (plan.skipped) {
+      return { plan: null, heading: getDayHeading(plan, settings) };
     }
-
-    if (entry.type === 'VFREEBUSY') {
-      const blocks = Array.isArray(entry.freebusy) ? entry.freebusy : [];
-      for (const block of blocks) {
-        if (!block || !block.start || !block.end) {
-          continue;
-        }
-        const type = String(block.type || '').toUpperCase();
-        if (type && !type.includes('BUSY')) {
-          continue;
-        }
-        if (block.end <= rangeStart || block.start >= rangeEnd) {
-          continue;
-        }
-        const label = type ? `VFREEBUSY:${type}` : 'VFREEBUSY';
-        instances.push({ start: block.start, end: block.end, label });
+    const startMinutes = getMinutesInZone(plan.dayStart, timeZone);
+    return {
+      plan,
+      heading: getDayHeading(plan, settings),
+      startMinutes,
+      endMinutes: startMinutes + (plan.dayEnd - plan.dayStart) / 60000,
+      busy: collectBusyIntervalsForDay(instances, plan.dayStart, plan.dayEnd, []),
+      free: results[index].slots.map((slot) => toPlanInterval(plan, slot, timeZone)),
+    };
+  });
+  const working = columns.filter((column) => column.plan);
+  if (working.length === 0) {
+    return { times: [], columns };
+  }
+  const first = Math.min(...working.map((column) => column.startMinutes));
+  const last = Math.max(...working.map((column) => column.endMinutes));
+  const times = [];
+  for (
+    let minutes = Math.floor(first / timeGridMinutes) * timeGridMinutes;
+    minutes < last;
+    minutes += timeGridMinutes
+  ) {
+    times.push(minutes);
+  }
+  for (const column of columns) {
+    column.cells = times.map((minutes) => {
+      if (!column.plan) {
+        return 'off';
       }
-      continue;
-    }
-
-    if (entry.type !== 'VEVENT') {
-      continue;
-    }
-    if (entry.status === 'CANCELLED') {
-      continue;
-    }
-    if (isIgnoredSummary(entry.summary, ignoreSummaries)) {
-      continue;
-    }
+      const start = new Date(
+        column.plan.dayStart.getTime() + (minutes - column.startMinutes) * 60000,
+      );
+      return classifyGridCell(column, start, new Date(start.getTime() + timeGridMinutes * 60000));
+    });
+  }
+  return {
+    times: times.map((minutes) => `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`),
+    columns,
+  };
+}
 
-    const label = getEventLabel(entry);
-    let eventInstances = [];
-    if (entry.rrule || entry.rdate) {
-      eventInstances = expandRecurring(entry, rangeStart, rangeEnd);
-    } else {
-      const baseRange = resolveEventTime(entry);
-      if (baseRange) {
-        eventInstances = [{ ...baseRange, label }];
-      }
-    }
+const GRID_SYMBOLS = { free: '·', busy: '█', excluded: '▒', open: ' ', off: ' ' };
 
-    for (const instance of eventInstances) {
-      if (!instance.start || !instance.end) {
-        continue;
-      }
-      if (instance.end <= rangeStart || instance.start >= rangeEnd) {
-        continue;
-      }
-      instances.push({
-        start: instance.start,
-        end: instance.end,
-        label: instance.label || label,
-      });
-    }
+function renderGrid(results, context) {
+  const grid = buildWeekGrid(context.results, context);
+  if (grid.times.length === 0) {
+    return '(no working days)';
   }
+  const width = Math.max(...grid.columns.map((column) => column.heading.length));
+  const lines = [
+    ['     ', ...grid.columns.map((column) => column.heading.padEnd(width))].join('  '),
+  ];
+  grid.times.forEach((time, row) => {
+    const cells = grid.columns.map((column) => GRID_SYMBOLS[column.cells[row]].repeat(width));
+    lines.push([time, ...cells].join('  ').trimEnd());
+  });
+  const legend = ['free', 'busy', 'excluded'].map((status) => `${GRID_SYMBOLS[status]} ${status}`);
+  lines.push('', legend.join('  '));
+  results.forEach((dayResult, index) => {
+    if (dayResult.skipped) {
+      lines.push(`${grid.columns[index].heading}: ${describeSkippedDay(dayResult.skipped)}`);
+    }
+  });
+  return lines.join('\n');
+}
 
-  return instances;
+const HTML_CELL_STYLES = {
+  free: 'background:#c8e6c9',
+  busy: 'background:#ef9a9a',
+  excluded: 'background:#e0e0e0',
+  open: 'background:#ffffff',
+  off: 'background:#f5f5f5',
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-function mergeIntervals(intervals) {
-  if (intervals.length === 0) {
-    return [];
-  }
-  const sorted = intervals
-    .slice()
-    .sort((a, b) => a.start.getTime() - b.start.getTime());
-  const merged = [{ start: sorted[0].start, end: sorted[0].end }];
+function renderHtml(results, context) {
+  const grid = buildWeekGrid(context.results, context);
+  const zone = context.settings.timeZone || getHostTimeZone();
+  const cellStyle = 'padding:2px 8px;border:1px solid #ffffff;font-size:12px';
+  const headings = grid.columns
+    .map((column) => `<th style="${cellStyle}">${escapeHtml(column.heading)}</th>`)
+    .join('');
+  const rows = grid.times.map((time, row) => {
+    const cells = grid.columns
+      .map((column) => {
+        const status = column.cells[row];
+        const title = status === 'off' ? '' : ` title="${status}"`;
+        return `<td style="${cellStyle};${HTML_CELL_STYLES[status]}"${title}></td>`;
+      })
+      .join('');
+    return `<tr><th style="${cellStyle};text-align:right">${time}</th>${cells}</tr>`;
+  });
+  const slots = results.map((dayResult, index) => {
+    const heading = getDayHeading(context.days[index], context.settings);
+    return `<li>${escapeHtml(heading)}: ${escapeHtml(describeDayCell(dayResult))}</li>`;
+  });
+  const legend = ['free', 'busy', 'excluded']
+    .map((status) => `<span style="${cellStyle};${HTML_CELL_STYLES[status]}">${status}</span>`)
+    .join(' ');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><meta charset="utf-8"><title>Availability</title></head>',
+    '<body style="font-family:sans-serif;color:#212121">',
+    `<p>Times in ${escapeHtml(zone)}</p>`,
+    '<table style="border-collapse:collapse">',
+    `<tr><th></th>${headings}</tr>`,
+    ...rows,
+    '</table>',
+    `<p>${legend}</p>`,
+    `<ul>${slots.join('')}</ul>`,
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
 
-  for (let i = 1; i < sorted.length; i += 1) {
-    const current = sorted[i];
-    const last = merged[merged.length - 1];
-    if (current.start <= last.end) {
-      if (current.end > last.end) {
-        last.end = current.end;
-      }
-    } else {
-      merged.push({ start: current.start, end: current.end });
+function renderTemplate(template, results, context) {
+  const lines = [];
+  results.forEach((dayResult, index) => {
+    const plan = context.days[index];
+    for (const slot of dayResult.slots) {
+      const fields = {
+        date: dayResult.date,
+        label: dayResult.label,
+        weekday: formatLocalWeekday(plan.dayStart, context.settings),
+        start: slot.start,
+        end: slot.end,
+        times: formatSlotTimes(slot),
+      };
+      lines.push(
+        template.replace(/\{(\w+)\}/g, (match, name) => {
+          if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+            throw new Error(
+              `Unknown template field {${name}} (available: ${Object.keys(fields).join(', ')})`,
+            );
+          }
+          return fields[name];
+        }),
+      );
     }
+  });
+  return lines.length > 0 ? lines.join('\n') : '(no availability)';
+}
+
+const PROSE_PHRASES = {
+  en: {
+    free: (list, zone) => `I'm free ${list} (${zone} time).`,
+    none: "I'm not free on any of those days.",
+    or: 'or',
+    and: 'and',
+    days: (first, last) => `${first} to ${last}`,
+    range: (start, end) => `${start}–${end}`,
+    after: (time) => `after ${time}`,
+    before: (time) => `before ${time}`,
+    allDay: 'all day',
+  },
+  fi: {
+    free: (list, zone) => `Minulle sopii ${list} (aikavyöhyke ${zone}).`,
+    none: 'Minulle ei sovi mikään näistä päivistä.',
+    or: 'tai',
+    and: 'ja',
+    days: (first, last) => `${first}–${last}`,
+    range: (start, end) => `klo ${start}–${end}`,
+    after: (time) => `klo ${time} jälkeen`,
+    before: (time) => `ennen klo ${time}`,
+    allDay: 'koko päivän',
+  },
+  sv: {
+    free: (list, zone) => `Jag är ledig ${list} (tidszon ${zone}).`,
+    none: 'Jag är inte ledig någon av de dagarna.',
+    or: 'eller',
+    and: 'och',
+    days: (first, last) => `${first}–${last}`,
+    range: (start, end) => `${start}–${end}`,
+    after: (time) => `efter ${time}`,
+    before: (time) => `före ${time}`,
+    allDay: 'hela dagen',
+  },
+  de: {
+    free: (list, zone) => `Ich habe Zeit: ${list} (Zeitzone ${zone}).`,
+    none: 'Ich habe an keinem dieser Tage Zeit.',
+    or: 'oder',
+    and: 'und',
+    days: (first, last) => `${first} bis ${last}`,
+    range: (start, end) => `${start}–${end}`,
+    after: (time) => `ab ${time}`,
+    before: (time) => `vor ${time}`,
+    allDay: 'ganztägig',
+  },
+};
+
+function joinProseList(items, conjunction, separator = ', ') {
+  if (items.length < 2) {
+    return items.join('');
   }
+  return `${items.slice(0, -1).join(separator)} ${conjunction} ${items[items.length - 1]}`;
+}
 
-  return merged;
+function describeProseWindow(plan, slot, settings, phrases) {
+  const fromStart = slot.start <= plan.dayStart;
+  const toEnd = slot.end >= plan.dayEnd;
+  if (fromStart && toEnd) {
+    return phrases.allDay;
+  }
+  if (toEnd) {
+    return phrases.after(formatLocalTime(slot.start, settings));
+  }
+  if (fromStart) {
+    return phrases.before(formatLocalTime(slot.end, settings));
+  }
+  return phrases.range(formatLocalTime(slot.start, settings), formatLocalTime(slot.end, settings));
 }
 
-function collectBusyIntervalsForDay(instances, dayStart, dayEnd, extraBusyIntervals) {
-  const busyIntervals = [];
-  for (const instance of instances) {
-    if (instance.end <= dayStart || instance.start >= dayEnd) {
-      continue;
+function renderProse(results, context) {
+  const settings = { ...context.settings, locale: context.settings.locale || TIME_FORMAT_LOCALE };
+  const language = new Intl.Locale(settings.locale).language;
+  const phrases = PROSE_PHRASES[language] || PROSE_PHRASES.en;
+  const groups = [];
+  context.days.forEach((plan, index) => {
+    if (plan.skipped) {
+      return;
     }
-    const start = instance.start > dayStart ? instance.start : dayStart;
-    const end = instance.end < dayEnd ? instance.end : dayEnd;
-    if (end > start) {
-      busyIntervals.push({ start, end, label: instance.label });
+    const { alignedSlots } = computeDaySlots(
+      plan,
+      context.instances,
+      context.meetingLengthMs,
+      settings,
+    );
+    if (alignedSlots.length === 0) {
+      return;
     }
+    const windows = joinProseList(
+      alignedSlots.map((slot) => describeProseWindow(plan, slot, settings, phrases)),
+      phrases.and,
+    );
+    const previous = groups[groups.length - 1];
+    if (previous && previous.windows === windows && previous.lastIndex === index - 1) {
+      previous.last = plan;
+      previous.lastIndex = index;
+      return;
+    }
+    groups.push({ first: plan, last: plan, lastIndex: index, windows });
+  });
+  if (groups.length === 0) {
+    return phrases.none;
   }
 
-  for (const interval of extraBusyIntervals || []) {
-    if (interval.end <= dayStart || interval.start >= dayEnd) {
-      continue;
+  let anchor = null;
+  const describeDay = (plan, withDate = false) => {
+    const nearby = !withDate && anchor && plan.dayStart - anchor < 6.5 * 24 * 60 * 60 * 1000;
+    if (!nearby) {
+      anchor = plan.dayStart;
     }
-    const start = interval.start > dayStart ? interval.start : dayStart;
-    const end = interval.end < dayEnd ? interval.end : dayEnd;
-    if (end > start) {
-      busyIntervals.push({ start, end, label: interval.label || 'excludeTime' });
+    const options = nearby
+      ? { weekday: 'long' }
+      : { weekday: 'long', day: 'numeric', month: 'long' };
+    return getLocaleFormatter(settings.locale, settings.timeZone, options).format(plan.dayStart);
+  };
+  const items = groups.map((group) => {
+    if (group.first === group.last) {
+      return `${describeDay(group.first)} ${group.windows}`;
     }
-  }
-
-  return busyIntervals;
+    const crossesWeek = !isSameDay(getWeekStart(group.first.day), getWeekStart(group.last.day));
+    const days = phrases.days(describeDay(group.first), describeDay(group.last, crossesWeek));
+    return `${days} ${group.windows}`;
+  });
+  const zone = formatZoneLabel(settings.timeZone || getHostTimeZone());
+  const separator = groups.some((group) => group.windows.includes(',')) ? '; ' : ', ';
+  return phrases.free(joinProseList(items, phrases.or, separator), zone);
 }
 
-function getFreeSlotsForDay(instances, dayStart, dayEnd, minSlotMs, extraBusyIntervals) {
-  const busyIntervals = collectBusyIntervalsForDay(
-    instances,
-    dayStart,
-    dayEnd,
-    extraBusyIntervals,
-  );
-  const mergedBusy = mergeIntervals(
-    busyIntervals.map((interval) => ({ start: interval.start, end: interval.end })),
-  );
-  const free = [];
-  let cursor = dayStart;
+const RENDERERS = {
+  text: (results) => formatResultLines(results, 'text').join('\n'),
+  list: (results) => formatResultLines(results, 'list').join('\n'),
+  block: (results) => formatResultLines(results, 'block').join('\n'),
+  json: (results) => JSON.stringify(results, null, 2),
+  markdown: renderMarkdown,
+  html: renderHtml,
+  grid: renderGrid,
+  prose: renderProse,
+};
 
-  for (const busy of mergedBusy) {
-    if (busy.start > cursor && busy.start.getTime() - cursor.getTime() >= minSlotMs) {
-      free.push({ start: cursor, end: busy.start });
-    }
-    if (busy.end > cursor) {
-      cursor = busy.end;
-    }
-  }
+function isTemplateFormat(format) {
+  return /\{\w+\}/.test(format);
+}
 
-  if (dayEnd > cursor && dayEnd.getTime() - cursor.getTime() >= minSlotMs) {
-    free.push({ start: cursor, end: dayEnd });
+function getRenderer(format, config) {
+  const name = String(format || 'text').trim();
+  const templates = config.formats || {};
+  const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  if (isTemplateFormat(name) || has(templates, name)) {
+    const template = has(templates, name) ? templates[name] : name;
+    return (results, context) =>
+      renderTemplate(template, localizeResults(results, context.settings), context);
+  }
+  const renderer = has(RENDERERS, name.toLowerCase()) ? RENDERERS[name.toLowerCase()] : null;
+  if (!renderer) {
+    const names = [...Object.keys(RENDERERS), 'ics', ...Object.keys(templates)];
+    throw new Error(
+      `format must be one of: ${names.join(', ')} or a template like "{label} {start}-{end}"`,
+    );
+  }
+  if (renderer === RENDERERS.json) {
+    return renderer;
   }
+  return (results, context) =>
+    renderer(localizeResults(results, context.settings), { ...context, results });
+}
 
-  return free;
+function loadConfigForArgs(args) {
+  const { config } = loadLayeredConfig(args);
+  return args.ics ? applyIcsArgument(config, args.ics) : config;
 }
 
-function alignFreeSlotsToGrid(freeSlots, meetingLengthMs, gridMinutes, timeZone) {
-  const aligned = [];
-  for (const slot of freeSlots) {
-    const earliestStart = ceilToGrid(slot.start, gridMinutes, timeZone);
-    const latestStartCandidate = new Date(slot.end.getTime() - meetingLengthMs);
-    const latestStart = floorToGrid(latestStartCandidate, gridMinutes, timeZone);
-    if (latestStart < earliestStart) {
-      continue;
-    }
-    aligned.push({
-      start: earliestStart,
-      end: new Date(latestStart.getTime() + meetingLengthMs),
-    });
+function getMeetingLength(args, config) {
+  if (args.length === null && !isMissingValue(config.lengthMinutes)) {
+    return Number(config.lengthMinutes);
   }
-  return aligned;
+  return args.length;
 }
 
-function normalizeExcludeTime(rawExclude) {
-  if (!rawExclude) {
-    return [];
-  }
-  const items = Array.isArray(rawExclude) ? rawExclude : [rawExclude];
-  return items.map((item, index) => {
-    if (!item || typeof item !== 'object') {
-      throw new Error(`excludeTime entry ${index + 1} must be an object`);
-    }
-    if (!item.start || !item.end) {
-      throw new Error(`excludeTime entry ${index + 1} must include start and end`);
+function displayConfigSource(source) {
+  const home = process.env.USERPROFILE || process.env.HOME;
+  return home && source.startsWith(`${home}${path.sep}`)
+    ? `~${source.slice(home.length)}`
+    : source;
+}
+
+function runConfigShow(args) {
+  const { config, sources, files, profile } = loadLayeredConfig(args);
+  const defaults = {
+    timeZone: [getHostTimeZone(), 'system'],
+    workDayStart: [DEFAULT_WORK_DAY_START, 'default'],
+    workDayEnd: [DEFAULT_WORK_DAY_END, 'default'],
+    timeGridMinutes: [normalizeTimeGridMinutes(undefined), 'default'],
+    cacheMaxAgeMinutes: [normalizeCacheMaxAgeMinutes(undefined), 'default'],
+  };
+  const values = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!['profiles', 'configPath', 'configDir'].includes(key)) {
+      values[key] = { value, source: displayConfigSource(sources[key]) };
     }
-    const start = parseTimeOfDay(item.start);
-    const end = parseTimeOfDay(item.end);
-    if (end.hours < start.hours || (end.hours === start.hours && end.minutes <= start.minutes)) {
-      throw new Error(`excludeTime entry ${index + 1} end must be after start`);
+  }
+  for (const [key, [value, source]] of Object.entries(defaults)) {
+    if (!values[key]) {
+      values[key] = { value, source };
     }
-    return { start, end };
-  });
-}
+  }
 
-function normalizeWeeklyExcludeTime(rawExclude) {
-  if (!rawExclude) {
-    return {};
+  if (String(args.format).trim().toLowerCase() === 'json') {
+    console.log(JSON.stringify({ configFiles: files, profile, values }, null, 2));
+    return;
   }
-  if (typeof rawExclude !== 'object' || Array.isArray(rawExclude)) {
-    throw new Error('excludeTimeWeekly must be an object keyed by weekday');
+  const lines = files.map((file) => `Config: ${file}`);
+  if (profile) {
+    lines.push(`Profile: ${profile}`);
   }
-  const result = {};
-  for (const [rawKey, rawValue] of Object.entries(rawExclude)) {
-    const weekdayKey = normalizeWeekdayKey(rawKey);
-    if (!weekdayKey) {
-      throw new Error(`Invalid excludeTimeWeekly weekday: ${rawKey}`);
-    }
-    const items = Array.isArray(rawValue) ? rawValue : [rawValue];
-    const windows = items.map((item, index) => {
-      if (!item || typeof item !== 'object') {
-        throw new Error(
-          `excludeTimeWeekly ${weekdayKey} entry ${index + 1} must be an object`,
-        );
-      }
-      if (!item.start || !item.end) {
-        throw new Error(
-          `excludeTimeWeekly ${weekdayKey} entry ${index + 1} must include start and end`,
-        );
-      }
-      const start = parseTimeOfDay(item.start);
-      const end = parseTimeOfDay(item.end);
-      if (end.hours < start.hours || (end.hours === start.hours && end.minutes <= start.minutes)) {
-        throw new Error(
-          `excludeTimeWeekly ${weekdayKey} entry ${index + 1} end must be after start`,
-        );
-      }
-      return { start, end };
-    });
-    result[weekdayKey] = windows;
+  for (const [key, entry] of Object.entries(values)) {
+    lines.push(`${key} = ${JSON.stringify(entry.value)}  (${entry.source})`);
   }
-  return result;
+  console.log(lines.join('\n'));
+}
+
+function applyIcsArgument(config, ics) {
+  const { calendars, icsUrl, icsFile, caldavUrl, ...rest } = config;
+  if (ics === '-') {
+    return { ...rest, icsStdin: true };
+  }
+  if (/^(https?|webcals?):\/\//i.test(ics)) {
+    return { ...rest, icsUrl: ics };
+  }
+  return { ...rest, icsFile: path.resolve(ics) };
 }
 
 async function main() {
@@ -1077,176 +5674,231 @@ async function main() {
     return;
   }
 
-  if (!args.length || !args.start || !args.end) {
+  if (args.command === 'check-config') {
+    runCheckConfig(args);
+    return;
+  }
+  if (args.command === 'config') {
+    runConfigShow(args);
+    return;
+  }
+  if (args.command === 'serve') {
+    await runServer(args, loadConfigForArgs(args));
+    return;
+  }
+  if (args.command === 'book') {
+    await runBook(args, loadConfigForArgs(args));
+    return;
+  }
+  if (args.command === 'report') {
+    await runReport(args, loadConfigForArgs(args));
+    return;
+  }
+  if (args.command === 'watch' || args.watch) {
+    if (args.command && args.command !== 'watch') {
+      throw new Error(`--watch cannot be combined with ${args.command}`);
+    }
+    await runWatch(args, loadConfigForArgs(args));
+    return;
+  }
+
+  const outputFormat = String(args.format || 'text').trim().toLowerCase();
+  if (!args.start && !args.range) {
     showHelp();
     throw new Error('Missing required arguments');
   }
+  const rankedOutput = args.command === 'suggest' || args.quorum !== null;
+  if (rankedOutput && !['block', 'text', 'list', 'json'].includes(outputFormat)) {
+    const name = args.command === 'suggest' ? 'suggest' : '--quorum';
+    throw new Error(`${name} format must be text or json`);
+  }
 
-  const meetingLengthMinutes = args.length;
-  if (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0) {
+  const config = loadConfigForArgs(args);
+  const render = outputFormat === 'ics' ? null : getRenderer(args.format, config);
+  const needsLength = outputFormat !== 'ics';
+  const meetingLengthMinutes = getMeetingLength(args, config);
+  if (needsLength && !meetingLengthMinutes) {
+    showHelp();
+    throw new Error('Missing required arguments');
+  }
+  if (
+    needsLength &&
+    (!Number.isFinite(meetingLengthMinutes) || meetingLengthMinutes <= 0)
+  ) {
     throw new Error('Meeting length must be a positive number of minutes');
   }
 
-  const configPath = args.configProvided
-    ? path.resolve(args.config)
-    : resolveDefaultConfigPath();
-  if (!fs.existsSync(configPath)) {
-    throw new Error(
-      `Config not found at ${configPath}. Use --config or set OUTLOOK_FREE_TIME_CONFIG.`,
-    );
-  }
-  const config = readConfig(configPath);
-  const startDate = parseDateInput(args.start);
-  const endDate = parseDateInput(args.end);
   const timeZone = normalizeTimeZone(config.timeZone);
+  const sources = selectCalendarSources(resolveCalendarSources(config), args.participants);
+  const settings = withParticipantSchedules(
+    buildScheduleSettings(config, timeZone),
+    sources,
+    config,
+  );
+  const { startDate, endDate } = resolveDateRange(args, settings);
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate, timeZone);
 
-  if (startDate > endDate) {
-    throw new Error('Start date must be before or equal to end date');
+  const calendarNames = config.calendars ? sources.map((source) => source.name) : null;
+  const instances = await loadSourceInstances(sources, rangeStart, rangeEnd);
+  const quorum = args.quorum;
+  let attendees = [];
+  const instancesByCalendar = new Map();
+  if (quorum !== null) {
+    if (!config.calendars) {
+      throw new Error('--quorum requires calendars in config.json');
+    }
+    if (!Number.isFinite(quorum) || quorum <= 0 || quorum > sources.length) {
+      throw new Error(`--quorum must be between 1 and ${sources.length}`);
+    }
+    const requiredNames = new Set(args.required.map((name) => name.toLowerCase()));
+    for (const name of requiredNames) {
+      if (!sources.some((source) => source.name.toLowerCase() === name)) {
+        throw new Error(`Required participant is not selected: ${name}`);
+      }
+    }
+    attendees = sources.map((source) => ({
+      name: source.name,
+      required: source.required || requiredNames.has(source.name.toLowerCase()),
+    }));
+    for (const instance of instances) {
+      if (!instancesByCalendar.has(instance.calendar)) {
+        instancesByCalendar.set(instance.calendar, []);
+      }
+      instancesByCalendar.get(instance.calendar).push(instance);
+    }
+  } else if (args.required.length > 0) {
+    throw new Error('--required can only be used with --quorum');
   }
 
-  const outputFormat = String(args.format || 'text').trim().toLowerCase();
-  const allowedFormats = new Set(['text', 'list', 'block', 'json']);
-  if (!allowedFormats.has(outputFormat)) {
-    throw new Error('format must be one of: text, list, json');
-  }
-
-  const workDayStart = parseTimeOfDay(config.workDayStart || '08:00');
-  const workDayEnd = parseTimeOfDay(config.workDayEnd || '16:00');
-  const excludeTime = normalizeExcludeTime(config.excludeTime);
-  const excludeTimeWeekly = normalizeWeeklyExcludeTime(config.excludeTimeWeekly);
-  const ignoreSummaries = normalizeIgnoreSummaries(config.ignoreSummaries);
-  const timeGridMinutes = normalizeTimeGridMinutes(config.timeGridMinutes);
-
-  const rangeStart = makeDateInTimeZone(
-    startDate.getFullYear(),
-    startDate.getMonth() + 1,
-    startDate.getDate(),
-    0,
-    0,
-    0,
-    timeZone,
-  );
-  const rangeEnd = makeDateInTimeZone(
-    endDate.getFullYear(),
-    endDate.getMonth() + 1,
-    endDate.getDate(),
-    23,
-    59,
-    59,
-    timeZone,
-  );
+  if (!Number.isFinite(args.top) || args.top <= 0) {
+    throw new Error('--top must be a positive integer');
+  }
 
-  const calendarData = await loadCalendar(config);
-  const instances = collectEventInstances(
-    calendarData,
-    rangeStart,
-    rangeEnd,
-    ignoreSummaries,
-  );
   const minSlotMs = meetingLengthMinutes * 60 * 1000;
   const debugDate =
-    args.debug && args.debug !== true ? parseDateInput(args.debug) : null;
+    args.debug && args.debug !== true ? parseDateInput(args.debug, timeZone) : null;
+  const days = planDays(startDate, endDate, settings);
+  if (args.debug) {
+    printTimeZoneWarnings();
+    printDebugIntervals(days, instances, debugDate, timeZone);
+  }
 
-  const lines = [];
-  const results = [];
-  for (const day of iterateDays(startDate, endDate)) {
-    const dayStart = withTimeInZone(day, workDayStart, timeZone);
-    const dayEnd = withTimeInZone(day, workDayEnd, timeZone);
-    if (dayEnd <= dayStart) {
-      throw new Error('workDayEnd must be after workDayStart');
-    }
+  if (outputFormat === 'ics') {
+    process.stdout.write(buildFreeBusyCalendar(days, instances, startDate, endDate, timeZone));
+    return;
+  }
 
-    const weekdayKey = getWeekdayKey(dayStart, timeZone);
-    const weeklyWindows = excludeTimeWeekly[weekdayKey] || [];
-    const excludeIntervals = [
-      ...excludeTime.map((window) => ({
-        start: withTimeInZone(day, window.start, timeZone),
-        end: withTimeInZone(day, window.end, timeZone),
-        label: 'excludeTime',
-      })),
-      ...weeklyWindows.map((window) => ({
-        start: withTimeInZone(day, window.start, timeZone),
-        end: withTimeInZone(day, window.end, timeZone),
-        label: `excludeTimeWeekly:${weekdayKey}`,
-      })),
-    ];
-    const freeSlots = getFreeSlotsForDay(
-      instances,
-      dayStart,
-      dayEnd,
-      minSlotMs,
-      excludeIntervals,
-    );
-    if (args.debug && (!debugDate || isSameDay(day, debugDate))) {
-      const busyIntervals = collectBusyIntervalsForDay(
-        instances,
-        dayStart,
-        dayEnd,
-        excludeIntervals,
-      ).sort((a, b) => a.start.getTime() - b.start.getTime());
-      const dayLabel = formatDateLabelInZone(dayStart, timeZone);
-      console.log(`${dayLabel} busy:`);
-      if (busyIntervals.length === 0) {
-        console.log('  (none)');
-      } else {
-        for (const interval of busyIntervals) {
-          console.log(
-            `  ${formatTimeInZone(interval.start, timeZone)}-${formatTimeInZone(
-              interval.end,
-              timeZone,
-            )}${interval.label ? ` ${interval.label}` : ''}`,
-          );
-        }
+  if (quorum !== null) {
+    const quorumSlots = [];
+    for (const plan of getWorkingDays(days)) {
+      const openWindows = alignFreeSlotsToGrid(
+        getFreeSlotsForDay([], plan.dayStart, plan.dayEnd, minSlotMs, plan.excludeIntervals),
+        minSlotMs,
+        settings.timeGridMinutes,
+        timeZone,
+      );
+      for (const start of enumerateGridStarts(openWindows, minSlotMs, settings.timeGridMinutes)) {
+        quorumSlots.push(scoreQuorumSlot(start, minSlotMs, attendees, instancesByCalendar));
       }
     }
-    const alignedSlots = alignFreeSlotsToGrid(
-      freeSlots,
-      minSlotMs,
-      timeGridMinutes,
-      timeZone,
-    );
-    const label = formatDateLabelInZone(dayStart, timeZone);
-    const dateIso = formatDateIsoInZone(dayStart, timeZone);
-    const slots = alignedSlots.map((slot) => ({
-      start: formatTimeInZone(slot.start, timeZone),
-      end: formatTimeInZone(slot.end, timeZone),
-    }));
-    results.push({ date: dateIso, label, slots });
-    if (outputFormat === 'text') {
-      if (slots.length === 0) {
-        lines.push(`${label}: (no availability)`);
-        continue;
-      }
-      const formatted = slots.map((slot) => `${slot.start}-${slot.end}`).join(' & ');
-      lines.push(`${label}: ${formatted}`);
-    } else if (outputFormat === 'list') {
-      if (slots.length === 0) {
-        lines.push(`${label}: (no availability)`);
-        continue;
-      }
-      for (const slot of slots) {
-        lines.push(`${label} ${slot.start}-${slot.end}`);
-      }
-    } else if (outputFormat === 'block') {
-      lines.push(`${label}:`);
-      if (slots.length === 0) {
-        lines.push('  (no availability)');
-      } else {
-        for (const slot of slots) {
-          lines.push(`  ${slot.start}-${slot.end}`);
-        }
+    const ranked = rankQuorumSlots(quorumSlots, attendees, quorum)
+      .slice(0, args.top)
+      .map((slot) =>
+        withSlotZones(
+          {
+            date: formatDateIsoInZone(slot.start, timeZone),
+            label: formatDateLabelInZone(slot.start, timeZone),
+            start: formatTimeInZone(slot.start, timeZone),
+            end: formatTimeInZone(slot.end, timeZone),
+            available: slot.free.length,
+            total: attendees.length,
+            missing: slot.missing,
+          },
+          slot.start,
+          slot.end,
+          settings,
+        ),
+      );
+    if (outputFormat === 'json') {
+      console.log(JSON.stringify(ranked, null, 2));
+    } else if (ranked.length === 0) {
+      console.log(`(no slots where at least ${quorum} of ${attendees.length} are free)`);
+    } else {
+      for (const slot of ranked) {
+        const missing = slot.missing.length > 0 ? ` (missing: ${slot.missing.join(', ')})` : '';
+        const label = formatLocalLabel(slot, settings);
+        const times = formatSlotTimes(localizeSlot(slot, settings));
+        console.log(`${label} ${times} ${slot.available}/${slot.total} free${missing}`);
       }
     }
+    return;
   }
 
-  if (outputFormat === 'json') {
-    console.log(JSON.stringify(results, null, 2));
-  } else {
-    console.log(lines.join('\n'));
+  if (args.command === 'suggest') {
+    const suggestions = rankSuggestions(days, instances, minSlotMs, settings).slice(0, args.top);
+    if (outputFormat === 'json') {
+      const ranked = suggestions.map((suggestion, index) =>
+        withSlotZones(
+          {
+            rank: index + 1,
+            date: suggestion.plan.date,
+            label: suggestion.plan.label,
+            start: formatTimeInZone(suggestion.start, timeZone),
+            end: formatTimeInZone(suggestion.end, timeZone),
+            score: roundScore(suggestion.score),
+            factors: Object.fromEntries(
+              Object.entries(suggestion.factors).map(([key, value]) => [key, roundScore(value)]),
+            ),
+          },
+          suggestion.start,
+          suggestion.end,
+          settings,
+        ),
+      );
+      console.log(JSON.stringify(ranked, null, 2));
+    } else if (suggestions.length === 0) {
+      console.log('(no availability)');
+    } else {
+      suggestions.forEach((suggestion, index) => {
+        const slot = withSlotZones(
+          {
+            start: formatTimeInZone(suggestion.start, timeZone),
+            end: formatTimeInZone(suggestion.end, timeZone),
+          },
+          suggestion.start,
+          suggestion.end,
+          settings,
+        );
+        const label = formatLocalDateLabel(suggestion.plan.dayStart, settings);
+        const times = formatSlotTimes(localizeSlot(slot, settings));
+        const score = roundScore(suggestion.score).toFixed(2);
+        console.log(
+          `${index + 1}. ${label} ${times} score ${score}${describeSuggestion(suggestion)}`,
+        );
+      });
+    }
+    return;
   }
+
+  const results = computeAvailability(days, instances, minSlotMs, settings, calendarNames);
+  console.log(render(results, { days, instances, meetingLengthMs: minSlotMs, settings }));
 }
 
-main().catch((error) => {
-  console.error(`Error: ${error.message}`);
-  process.exit(1);
-});
+module.exports = {
+  findFreeSlots,
+  collectEventInstances,
+  collectBusyIntervalsForDay,
+  getFreeSlotsForDay,
+  alignFreeSlotsToGrid,
+  mergeIntervals,
+  parseDateInput,
+  normalizeTimeZone,
+  loadCalendar,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
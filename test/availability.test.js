@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runJson } = require('./support');
+
+function event(uid, start, end, extra = {}) {
+  const times = { DTSTART: `20261020T${start}00Z`, DTEND: `20261020T${end}00Z` };
+  return { uid, ...times, SUMMARY: uid, ...extra };
+}
+
+function workspace(events, config = {}) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'UTC',
+      workDayStart: '08:00',
+      workDayEnd: '12:00',
+      ...config,
+    },
+    'calendar.ics': buildCalendar(events),
+  });
+}
+
+const spans = (slots) => slots.map((slot) => `${slot.start}-${slot.end}`);
+
+test('free slots skip busy events, excludeTime and align to the grid', async () => {
+  const dir = workspace([event('Standup', '0905', '0920')], {
+    excludeTime: [{ start: '11:00', end: '11:30' }],
+  });
+  const [day] = await runJson(dir, ['-l', '30', '--start', '2026-10-20']);
+  assert.deepEqual(spans(day.slots), ['08:00-09:00', '09:30-11:00', '11:30-12:00']);
+});
+
+test('short tentative events still offer a slot that fits the meeting', async () => {
+  const dir = workspace([event('Maybe', '1000', '1015', { STATUS: 'TENTATIVE' })]);
+  const [day] = await runJson(dir, ['-l', '30', '--start', '2026-10-20']);
+  assert.deepEqual(spans(day.slots), ['08:00-10:00', '10:30-12:00']);
+  assert.deepEqual(day.tentative, [{ start: '10:00', end: '10:30', overlaps: ['Maybe'] }]);
+});
+
+test('tentative windows follow the grid around the soft event', async () => {
+  const dir = workspace([event('Maybe', '1000', '1015', { STATUS: 'TENTATIVE' })], {
+    timeGridMinutes: 15,
+  });
+  const [day] = await runJson(dir, ['-l', '30', '--start', '2026-10-20']);
+  assert.deepEqual(spans(day.tentative), ['09:45-10:30']);
+});
+
+test('tentative windows do not cross hard-busy time', async () => {
+  const dir = workspace([
+    event('Maybe', '0900', '1100', { STATUS: 'TENTATIVE' }),
+    event('Busy', '1000', '1030'),
+  ]);
+  const [day] = await runJson(dir, ['-l', '30', '--start', '2026-10-20']);
+  assert.deepEqual(spans(day.tentative), ['09:00-10:00', '10:30-11:00']);
+});
+
+test('free events are ignored by default', async () => {
+  const dir = workspace([event('Lunch', '0900', '1000', { TRANSP: 'TRANSPARENT' })]);
+  const [day] = await runJson(dir, ['-l', '60', '--start', '2026-10-20']);
+  assert.deepEqual(spans(day.slots), ['08:00-12:00']);
+  assert.equal(day.tentative, undefined);
+});
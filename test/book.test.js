@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli } = require('./support');
+
+function workspace(config = {}) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'Europe/Helsinki',
+      organizer: 'me@example.com',
+      ...config,
+    },
+    'calendar.ics': buildCalendar([
+      { uid: 'busy', DTSTART: '20261021T070000Z', DTEND: '20261021T080000Z', SUMMARY: 'Standup' },
+    ]),
+  });
+}
+
+function book(dir, at, extra = []) {
+  return runCli(dir, [
+    'book',
+    '--at',
+    at,
+    '--length',
+    '30',
+    '--title',
+    'Project sync, part 2',
+    '--attendee',
+    'a@example.com',
+    '--out',
+    '-',
+    ...extra,
+  ]);
+}
+
+test('book writes a METHOD:REQUEST invite with UTC times', async () => {
+  const result = await book(workspace(), '2026-10-21T12:00', ['--location', 'Room; 4']);
+  assert.equal(result.code, 0, result.stderr);
+  const lines = result.stdout.replace(/\r\n /g, '').split('\r\n');
+  assert.ok(lines.includes('METHOD:REQUEST'));
+  assert.ok(lines.includes('DTSTART:20261021T090000Z'));
+  assert.ok(lines.includes('DTEND:20261021T093000Z'));
+  assert.ok(lines.includes('SUMMARY:Project sync\\, part 2'));
+  assert.ok(lines.includes('LOCATION:Room\\; 4'));
+  assert.ok(lines.includes('ORGANIZER:mailto:me@example.com'));
+  assert.ok(lines.some((line) => /^ATTENDEE;.*RSVP=TRUE:mailto:a@example\.com$/.test(line)));
+  assert.ok(!result.stdout.includes('VTIMEZONE'));
+  assert.ok(!result.stdout.includes('TZID'));
+});
+
+test('book keeps UTC times correct across a DST change', async () => {
+  const result = await book(workspace(), '2026-10-26T12:00');
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /DTSTART:20261026T100000Z/);
+});
+
+test('book refuses a slot that is busy', async () => {
+  const result = await book(workspace(), '2026-10-21T10:15');
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /is no longer free \(busy: Standup\)/);
+});
+
+test('book refuses a slot rejected by load limits', async () => {
+  const result = await book(workspace({ maxMeetingsPerDay: 1 }), '2026-10-21T12:00');
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /rejected by maxMeetingsPerDay: 1 meetings already booked/);
+});
+
+test('book needs an organizer and valid addresses', async () => {
+  const dir = workspace({ organizer: undefined });
+  const missing = await book(dir, '2026-10-21T12:00');
+  assert.match(missing.stderr, /book requires --organizer/);
+  const invalid = await book(dir, '2026-10-21T12:00', ['--organizer', 'nobody']);
+  assert.match(invalid.stderr, /Invalid email address: nobody/);
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+function workspace(config) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'UTC',
+      workDayStart: '08:00',
+      workDayEnd: '14:00',
+      timeGridMinutes: 15,
+      ...config,
+    },
+    'calendar.ics': buildCalendar([
+      { DTSTART: '20261020T093000Z', DTEND: '20261020T100000Z', SUMMARY: 'Standup' },
+      {
+        DTSTART: '20261020T120000Z',
+        DTEND: '20261020T123000Z',
+        SUMMARY: 'Visit',
+        LOCATION: 'Client office',
+      },
+    ]),
+  });
+}
+
+const range = ['-l', '30', '--start', '2026-10-20'];
+const spans = (day) => day.slots.map((slot) => `${slot.start}-${slot.end}`);
+
+test('buffers pad every busy event', async () => {
+  const dir = workspace({ bufferBeforeMinutes: 15, bufferAfterMinutes: 15 });
+  const [day] = await runJson(dir, range);
+  assert.deepEqual(spans(day), ['08:00-09:15', '10:15-11:45', '12:45-14:00']);
+});
+
+test('the first matching buffer rule wins and falls back to the global values', async () => {
+  const dir = workspace({
+    bufferBeforeMinutes: 15,
+    bufferRules: [
+      { location: ['client'], before: 60, after: 45 },
+      { summary: 'visit', before: 0, after: 0 },
+      { summary: 'standup', after: 30 },
+    ],
+  });
+  const [day] = await runJson(dir, range);
+  assert.deepEqual(spans(day), ['08:00-09:15', '10:30-11:00', '13:15-14:00']);
+});
+
+test('--debug lists the padding separately', async () => {
+  const dir = workspace({ bufferBeforeMinutes: 10 });
+  const { stderr } = await runCli(dir, [...range, '--debug']);
+  assert.match(stderr, / {2}09:20-09:30 buffer:before Standup\n {2}09:30-10:00 Standup/);
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+const range = ['-l', '30', '--start', '2026-10-20'];
+
+function meeting(start, end) {
+  return { DTSTART: `20261020T${start}00Z`, DTEND: `20261020T${end}00Z`, SUMMARY: 'Sync' };
+}
+
+function cachedIndexes(dir) {
+  const cacheDir = path.join(dir, '.cache', 'parsed');
+  return fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : [];
+}
+
+test('local calendar files are cached parsed by content', async () => {
+  const dir = createWorkspace({
+    'config.json': { icsFile: 'calendar.ics', timeZone: 'UTC' },
+    'calendar.ics': buildCalendar([meeting('0900', '1000')]),
+  });
+  const [first] = await runJson(dir, range);
+  assert.equal(cachedIndexes(dir).length, 1);
+  const [again] = await runJson(dir, range);
+  assert.deepEqual(again, first);
+  assert.equal(cachedIndexes(dir).length, 1);
+
+  fs.writeFileSync(path.join(dir, 'calendar.ics'), buildCalendar([meeting('1200', '1300')]));
+  const [changed] = await runJson(dir, range);
+  assert.equal(cachedIndexes(dir).length, 2);
+  assert.deepEqual(
+    changed.slots.map((slot) => `${slot.start}-${slot.end}`),
+    ['08:00-12:00', '13:00-16:00'],
+  );
+});
+
+test('calendars read from stdin are not cached', async () => {
+  const dir = createWorkspace({ 'config.json': { timeZone: 'UTC' } });
+  const result = await runCli(dir, ['--ics', '-', ...range], {
+    input: buildCalendar([meeting('0900', '1000')]),
+  });
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(cachedIndexes(dir), []);
+});
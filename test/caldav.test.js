@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+
+const { collectEventInstances, loadCalendar } = require('../src/index');
+
+const RANGE_START = new Date('2026-10-19T00:00:00Z');
+const RANGE_END = new Date('2026-10-20T00:00:00Z');
+
+const EVENTS_RESPONSE = [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+  '  <d:response><d:propstat><d:prop><c:calendar-data>BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'DTSTART:20261019T090000Z',
+  'DTEND:20261019T093000Z',
+  'SUMMARY:Standup &amp; planning',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  '</c:calendar-data></d:prop></d:propstat></d:response>',
+  '</d:multistatus>',
+].join('\r\n');
+
+const FREEBUSY_RESPONSE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VFREEBUSY',
+  'FREEBUSY:20261019T100000Z/20261019T110000Z,20261019T120000Z/PT30M',
+  'FREEBUSY;FBTYPE=BUSY-TENTATIVE:20261019T140000Z/20261019T150000Z',
+  'FREEBUSY;FBTYPE=FREE:20261019T160000Z/20261019T170000Z',
+  'FREEBUSY:bogus/PT1H,20261019T150000Z/20261019T150000Z',
+  'END:VFREEBUSY',
+  'END:VCALENDAR',
+].join('\r\n');
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, depth: req.headers.depth, body });
+      if (req.method !== 'REPORT') {
+        res.writeHead(405).end();
+      } else if (req.url === '/no-freebusy' && body.includes('free-busy-query')) {
+        res.writeHead(501).end();
+      } else if (body.includes('free-busy-query')) {
+        res.writeHead(200, { 'Content-Type': 'text/calendar' }).end(FREEBUSY_RESPONSE);
+      } else {
+        res.writeHead(207, { 'Content-Type': 'application/xml' }).end(EVENTS_RESPONSE);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function loadInstances(path, caldavMode) {
+  requests.length = 0;
+  const config = { caldavUrl: `${baseUrl}${path}`, caldavMode, fetchRetries: 0 };
+  const calendarData = await loadCalendar(config, RANGE_START, RANGE_END);
+  return collectEventInstances(calendarData, RANGE_START, RANGE_END)
+    .map((instance) => ({
+      start: new Date(instance.start).toISOString(),
+      end: new Date(instance.end).toISOString(),
+      availability: instance.availability,
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+test('events mode reads calendar-data from the REPORT multistatus', async () => {
+  const instances = await loadInstances('/cal/', 'events');
+  assert.deepEqual(instances, [
+    { start: '2026-10-19T09:00:00.000Z', end: '2026-10-19T09:30:00.000Z', availability: 'busy' },
+  ]);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].depth, '1');
+  assert.match(requests[0].body, /<c:calendar-query/);
+  assert.match(requests[0].body, /start="20261019T000000Z" end="20261020T000000Z"/);
+});
+
+test('freebusy mode turns busy periods into events and skips invalid ones', async () => {
+  const instances = await loadInstances('/cal/', 'freebusy');
+  assert.deepEqual(instances, [
+    { start: '2026-10-19T10:00:00.000Z', end: '2026-10-19T11:00:00.000Z', availability: 'busy' },
+    { start: '2026-10-19T12:00:00.000Z', end: '2026-10-19T12:30:00.000Z', availability: 'busy' },
+    {
+      start: '2026-10-19T14:00:00.000Z',
+      end: '2026-10-19T15:00:00.000Z',
+      availability: 'tentative',
+    },
+  ]);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].body, /<c:free-busy-query/);
+});
+
+test('freebusy mode falls back to an events query when unsupported', async () => {
+  const instances = await loadInstances('/no-freebusy', 'freebusy');
+  assert.equal(instances.length, 1);
+  assert.deepEqual(
+    requests.map((request) => /free-busy-query/.test(request.body)),
+    [true, false],
+  );
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+test('layers merge global, project, profile and environment settings', async () => {
+  const dir = createWorkspace({
+    '.outlook-free-time.json': {
+      timeZone: 'Europe/Helsinki',
+      workDayEnd: '17:00',
+      profiles: { late: { workDayStart: '10:00' } },
+    },
+    'config.json': { icsFile: 'calendar.ics', workDayEnd: '15:00' },
+  });
+  const { values } = await runJson(dir, ['config', 'show', '--profile', 'late'], {
+    env: { OUTLOOK_FREE_TIME_GRID: '15' },
+  });
+  const pick = (key) => [values[key].value, values[key].source];
+  assert.deepEqual(pick('timeZone'), ['Europe/Helsinki', '~/.outlook-free-time.json']);
+  assert.deepEqual(pick('workDayEnd'), ['15:00', '~/config.json']);
+  assert.deepEqual(pick('workDayStart'), ['10:00', 'profile late in ~/.outlook-free-time.json']);
+  assert.deepEqual(pick('timeGridMinutes'), ['15', 'OUTLOOK_FREE_TIME_GRID']);
+});
+
+test('check-config reports the parsed cache for each cached source', async () => {
+  const dir = createWorkspace({
+    'config.json': {
+      calendars: [
+        { name: 'me', icsFile: 'me.ics' },
+        { name: 'team', caldavUrl: 'https://dav.example.com/team/' },
+      ],
+    },
+    'me.ics': buildCalendar([]),
+  });
+  const report = await runJson(dir, ['check-config']);
+  assert.equal(report.parsedCacheDir, undefined);
+  assert.deepEqual(report.calendars, [
+    {
+      name: 'me',
+      icsFile: path.join(dir, 'me.ics'),
+      parsedCacheDir: path.join(dir, '.cache', 'parsed'),
+    },
+    { name: 'team', caldavUrl: 'https://dav.example.com/team/' },
+  ]);
+  const { stdout } = await runCli(dir, ['check-config']);
+  assert.doesNotMatch(stdout, /^Parsed cache:/m);
+  assert.match(stdout, /Calendar team: CalDAV https:\/\/dav\.example\.com\/team\/ \(not cached\)/);
+});
+
+test('config dates must be absolute', async () => {
+  const dir = createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      nonWorkingDays: ['SAT', '2026-12-24', '31.12', { date: 'today' }, '+2d'],
+      workingHours: { fri: { start: '09:00', end: '12:00' }, '24.12.2026': [] },
+    },
+  });
+  const result = await runCli(dir, ['check-config']);
+  assert.equal(result.code, 1);
+  const errors = result.stdout.split('\n').filter((line) => line.startsWith('Error:'));
+  assert.deepEqual(
+    errors.map((line) => line.replace(/ must be .*/, '')),
+    ['Error: config.json: nonWorkingDays[3].date', 'Error: config.json: nonWorkingDays[4]'],
+  );
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+  buildCalendar,
+  createWorkspace,
+  isoDay,
+  runCli,
+  runJson,
+  todayInZone,
+} = require('./support');
+
+const TIME_ZONE = 'Europe/Helsinki';
+
+function workspace(config = {}) {
+  return createWorkspace({
+    'config.json': { icsFile: 'calendar.ics', timeZone: TIME_ZONE, ...config },
+    'calendar.ics': buildCalendar([]),
+  });
+}
+
+function nextWorkdays(count, daysOff) {
+  const today = todayInZone(TIME_ZONE);
+  const dates = [];
+  for (let offset = 0; dates.length < count; offset += 1) {
+    const weekday = new Date(today.getTime() + offset * 86400000).getUTCDay();
+    if (!daysOff.includes(weekday)) {
+      dates.push(isoDay(today, offset));
+    }
+  }
+  return dates;
+}
+
+test('weekday names match exactly', async () => {
+  const dir = workspace();
+  const today = todayInZone(TIME_ZONE);
+  const friday = isoDay(today, (5 - today.getUTCDay() + 7) % 7);
+  for (const name of ['fr', 'fri', 'Friday']) {
+    const days = await runJson(dir, ['-l', '30', '--start', name]);
+    assert.equal(days[0].date, friday, name);
+  }
+  for (const typo of ['friend', 'monkey', 'thurs']) {
+    const result = await runCli(dir, ['-l', '30', '--start', typo]);
+    assert.equal(result.code, 1, typo);
+    assert.match(result.stderr, /Unsupported date format/);
+  }
+});
+
+test('relative offsets and ISO weeks resolve in the configured zone', async () => {
+  const dir = workspace();
+  const today = todayInZone(TIME_ZONE);
+  const offset = await runJson(dir, ['-l', '30', '--start', '+2d']);
+  assert.equal(offset[0].date, isoDay(today, 2));
+  const week = await runJson(dir, ['-l', '30', '--start', '2026-W43']);
+  assert.deepEqual(
+    [week[0].date, week[week.length - 1].date, week.length],
+    ['2026-10-19', '2026-10-25', 7],
+  );
+});
+
+test('next-N-workdays skips Saturday and Sunday by default', async () => {
+  const days = await runJson(workspace(), ['-l', '30', '--range', 'next-7-workdays']);
+  const expected = nextWorkdays(7, [0, 6]);
+  assert.equal(days[0].date, expected[0]);
+  assert.equal(days[days.length - 1].date, expected[6]);
+});
+
+test('next-N-workdays follows weekday entries in nonWorkingDays', async () => {
+  const dir = workspace({ nonWorkingDays: ['FRI', 'SAT'] });
+  const days = await runJson(dir, ['-l', '30', '--range', 'next-6-workdays']);
+  const expected = nextWorkdays(6, [5, 6]);
+  assert.equal(days[days.length - 1].date, expected[5]);
+  const working = days.filter((day) => !day.skipped).map((day) => day.date);
+  assert.deepEqual(working, expected);
+});
+
+test('unknown ranges are rejected', async () => {
+  const result = await runCli(workspace(), ['-l', '30', '--range', 'next-0-days']);
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /Unknown range/);
+});
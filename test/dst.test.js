@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runJson } = require('./support');
+
+function workspace(timeZone, events) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone,
+      workDayStart: '09:00',
+      workDayEnd: '12:00',
+      nonWorkingDays: [],
+    },
+    'calendar.ics': buildCalendar(events),
+  });
+}
+
+const spans = (day) => day.slots.map((slot) => `${slot.start}-${slot.end}`);
+
+test('work hours keep their wall-clock times across the autumn change', async () => {
+  const dir = workspace('Europe/Helsinki', [
+    { DTSTART: '20261024T070000Z', DTEND: '20261024T073000Z', SUMMARY: 'Before' },
+    { DTSTART: '20261025T070000Z', DTEND: '20261025T073000Z', SUMMARY: 'After' },
+  ]);
+  const days = await runJson(dir, ['-l', '30', '--start', '2026-10-24', '--end', '2026-10-25']);
+  assert.deepEqual(days.map(spans), [
+    ['09:00-10:00', '10:30-12:00'],
+    ['09:30-12:00'],
+  ]);
+});
+
+test('work hours keep their wall-clock times across the spring change', async () => {
+  const dir = workspace('America/New_York', [
+    { DTSTART: '20260307T140000Z', DTEND: '20260307T143000Z', SUMMARY: 'Before' },
+    { DTSTART: '20260308T140000Z', DTEND: '20260308T143000Z', SUMMARY: 'After' },
+  ]);
+  const days = await runJson(dir, ['-l', '30', '--start', '2026-03-07', '--end', '2026-03-08']);
+  assert.deepEqual(days.map(spans), [
+    ['09:30-12:00'],
+    ['09:00-10:00', '10:30-12:00'],
+  ]);
+});
+
+test('a weekly series keeps its local start time after the change', async () => {
+  const dir = workspace('Europe/Helsinki', [
+    {
+      'DTSTART_TZID=Europe/Helsinki': '20261022T100000',
+      'DTEND_TZID=Europe/Helsinki': '20261022T110000',
+      RRULE: 'FREQ=WEEKLY;COUNT=2',
+      SUMMARY: 'Weekly',
+    },
+  ]);
+  for (const hostZone of ['UTC', 'America/Los_Angeles']) {
+    const days = await runJson(dir, ['-l', '30', '--start', '2026-10-29'], {
+      env: { TZ: hostZone },
+    });
+    assert.deepEqual(days.map(spans), [['09:00-10:00', '11:00-12:00']], hostZone);
+  }
+});
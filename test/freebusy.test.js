@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli } = require('./support');
+
+function workspace() {
+  return createWorkspace({
+    'config.json': { icsFile: 'calendar.ics', timeZone: 'UTC' },
+    'calendar.ics': buildCalendar([
+      { DTSTART: '20261020T090000Z', DTEND: '20261020T100000Z', SUMMARY: 'Sync' },
+      {
+        'DTSTART_TZID=Nowhere/Unknown': '20261020T130000',
+        'DTEND_TZID=Nowhere/Unknown': '20261020T140000',
+        SUMMARY: 'Lost',
+      },
+    ]),
+  });
+}
+
+test('the free/busy feed lists busy periods in UTC', async () => {
+  const { code, stdout, stderr } = await runCli(workspace(), [
+    '--start',
+    '2026-10-20',
+    '--format',
+    'ics',
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.match(stdout, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(stdout, /FREEBUSY(;FBTYPE=BUSY)?:20261020T090000Z\/20261020T100000Z/);
+  assert.match(stdout, /END:VCALENDAR\r\n$/);
+});
+
+test('--debug output stays out of the free/busy feed', async () => {
+  const { code, stdout, stderr } = await runCli(workspace(), [
+    '--start',
+    '2026-10-20',
+    '--format',
+    'ics',
+    '--debug',
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.match(stdout, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(stdout, /END:VCALENDAR\r\n$/);
+  assert.match(stderr, /20\.10 busy:\n {2}09:00-10:00 Sync/);
+  assert.match(stderr, /could not resolve TZID "Nowhere\/Unknown"/);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runJson } = require('./support');
+
+function workspace(timeZone) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone,
+      nonWorkingDays: ['SAT', 'SUN', { icsFile: 'holidays.ics', name: 'Public holiday' }],
+    },
+    'calendar.ics': buildCalendar([]),
+    'holidays.ics': buildCalendar([
+      {
+        'DTSTART_VALUE=DATE': '20251020',
+        'DTEND_VALUE=DATE': '20251021',
+        RRULE: 'FREQ=YEARLY',
+        SUMMARY: 'Founders Day',
+      },
+      { 'DTSTART_VALUE=DATE': '20261022', 'DTEND_VALUE=DATE': '20261023', SUMMARY: 'Harvest Day' },
+    ]),
+  });
+}
+
+const range = ['-l', '30', '--start', '2026-10-19', '--end', '2026-10-23'];
+const skipped = (days) =>
+  days.filter((day) => day.skipped).map((day) => `${day.date} ${day.skipped.name}`);
+
+for (const hostZone of ['UTC', 'Asia/Tokyo', 'America/Los_Angeles']) {
+  test(`all-day holidays keep their date west of UTC (host ${hostZone})`, async () => {
+    const days = await runJson(workspace('America/New_York'), range, { env: { TZ: hostZone } });
+    assert.deepEqual(skipped(days), ['2026-10-20 Founders Day', '2026-10-22 Harvest Day']);
+  });
+}
+
+test('all-day holidays keep their date east of UTC', async () => {
+  const days = await runJson(workspace('Asia/Tokyo'), range);
+  assert.deepEqual(skipped(days), ['2026-10-20 Founders Day', '2026-10-22 Harvest Day']);
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runJson } = require('./support');
+
+const DAY = ['-l', '30', '--start', '2026-10-20'];
+
+function meeting(uid, start, end, summary = uid) {
+  return { uid, DTSTART: `20261020T${start}00Z`, DTEND: `20261020T${end}00Z`, SUMMARY: summary };
+}
+
+function workspace(config, calendars) {
+  const files = { 'config.json': { timeZone: 'UTC', workDayStart: '08:00', ...config } };
+  for (const [name, events] of Object.entries(calendars)) {
+    files[`${name}.ics`] = buildCalendar(events);
+  }
+  return createWorkspace(files);
+}
+
+test('maxMeetingsPerDay counts each calendar on its own', async () => {
+  const calendars = {
+    me: [meeting('a', '0900', '0930'), meeting('b', '1000', '1030')],
+    sam: [meeting('c', '1100', '1130'), meeting('d', '1300', '1330')],
+  };
+  const config = {
+    maxMeetingsPerDay: 3,
+    calendars: [
+      { name: 'me', icsFile: 'me.ics' },
+      { name: 'sam', icsFile: 'sam.ics' },
+    ],
+  };
+  const [open] = await runJson(workspace(config, calendars), DAY);
+  assert.equal(open.omitted, undefined);
+  assert.ok(open.slots.length > 0);
+
+  config.calendars[1].maxMeetingsPerDay = 2;
+  const [limited] = await runJson(workspace(config, calendars), DAY);
+  assert.deepEqual(limited.slots, []);
+  assert.equal(limited.omitted[0].reason, 'maxMeetingsPerDay');
+  assert.equal(limited.omitted[0].detail, 'sam: 2 meetings already booked, limit 2');
+});
+
+test('maxMeetingMinutesPerDay uses the booked minutes of each person', async () => {
+  const calendars = {
+    me: [meeting('a', '0900', '1000')],
+    sam: [meeting('b', '1300', '1400')],
+  };
+  const config = {
+    maxMeetingMinutesPerDay: 90,
+    calendars: [
+      { name: 'me', icsFile: 'me.ics' },
+      { name: 'sam', icsFile: 'sam.ics' },
+    ],
+  };
+  const [day] = await runJson(workspace(config, calendars), DAY);
+  assert.ok(day.slots.length > 0);
+});
+
+test('a meeting shared by two calendars counts once for each of them', async () => {
+  const shared = [meeting('x', '0900', '0930', 'Sync'), meeting('y', '1000', '1030', 'Review')];
+  const config = {
+    maxMeetingsPerDay: 3,
+    calendars: [
+      { name: 'me', icsFile: 'me.ics' },
+      { name: 'sam', icsFile: 'sam.ics' },
+    ],
+  };
+  const [day] = await runJson(workspace(config, { me: shared, sam: shared }), DAY);
+  assert.ok(day.slots.length > 0);
+});
+
+test('minFocusBlockMinutes keeps the last focus block free', async () => {
+  const calendars = { me: [meeting('a', '0900', '1200')] };
+  const config = { icsFile: 'me.ics', workDayEnd: '16:00', minFocusBlockMinutes: 180 };
+  const [day] = await runJson(workspace(config, calendars), DAY);
+  assert.deepEqual(
+    day.slots.map((slot) => `${slot.start}-${slot.end}`),
+    ['08:00-09:00', '12:00-13:00', '15:00-16:00'],
+  );
+  assert.equal(day.omitted[0].reason, 'minFocusBlockMinutes');
+  assert.deepEqual(
+    day.omitted.map((slot) => `${slot.start}-${slot.end}`),
+    ['13:00-15:00'],
+  );
+});
+
+test('the focus block of another participant limits shared slots', async () => {
+  const calendars = {
+    me: [],
+    sam: [meeting('a', '0900', '1200')],
+  };
+  const config = {
+    workDayEnd: '16:00',
+    calendars: [
+      { name: 'me', icsFile: 'me.ics' },
+      { name: 'sam', icsFile: 'sam.ics', minFocusBlockMinutes: 180 },
+    ],
+  };
+  const [day] = await runJson(workspace(config, calendars), DAY);
+  assert.deepEqual(
+    day.slots.map((slot) => `${slot.start}-${slot.end}`),
+    ['08:00-09:00', '12:00-13:00', '15:00-16:00'],
+  );
+  assert.equal(day.omitted[0].detail, 'sam: keeps the last 180-minute focus block free');
+});
+
+test('findFreeSlots takes load limits per calendar', () => {
+  const { findFreeSlots } = require('../src/index');
+  const options = {
+    range: { start: '2026-10-20', end: '2026-10-20' },
+    lengthMinutes: 30,
+    workHours: { start: '08:00', end: '16:00' },
+    timeZone: 'UTC',
+    loadLimits: { maxMeetingsPerDay: 2 },
+    calendars: [
+      { name: 'me', calendar: buildCalendar([meeting('a', '0900', '0930')]) },
+      { name: 'sam', calendar: buildCalendar([meeting('b', '1000', '1030')]) },
+    ],
+  };
+  assert.ok(findFreeSlots(options)[0].slots.length > 0);
+  options.calendars[1].loadLimits = { maxMeetingsPerDay: 1 };
+  assert.deepEqual(findFreeSlots(options)[0].slots, []);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+function workspace(config = {}) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'UTC',
+      workDayStart: '09:00',
+      workDayEnd: '17:00',
+      ...config,
+    },
+    'calendar.ics': buildCalendar([
+      { DTSTART: '20261020T120000Z', DTEND: '20261020T130000Z', SUMMARY: 'Lunch talk' },
+    ]),
+  });
+}
+
+const range = ['-l', '30', '--start', '2026-10-20'];
+
+async function output(dir, args) {
+  const result = await runCli(dir, [...range, ...args]);
+  assert.equal(result.code, 0, result.stderr);
+  // ICU separates the time from AM/PM with a narrow no-break space.
+  return result.stdout.replace(/[^\S\n]/g, ' ').trim();
+}
+
+test('--locale formats day labels and clock times', async () => {
+  const dir = workspace();
+  assert.equal(
+    await output(dir, ['--locale', 'en-US', '--format', 'text']),
+    '10/20: 9:00 AM-12:00 PM & 1:00 PM-5:00 PM',
+  );
+  assert.equal(
+    await output(dir, ['--locale', 'fi', '--format', 'text']),
+    '20.10.: 9.00-12.00 & 13.00-17.00',
+  );
+});
+
+test('locale from the config names weekdays in markdown', async () => {
+  const dir = workspace({ locale: 'de' });
+  assert.match(
+    await output(dir, ['--format', 'markdown']),
+    /^\| Di 20\.10\. \| 9:00-12:00, 13:00-17:00 \|$/m,
+  );
+});
+
+test('JSON output is never localized', async () => {
+  const [day] = await runJson(workspace({ locale: 'en-US' }), range);
+  assert.equal(day.label, '20.10');
+  assert.deepEqual(
+    day.slots.map((slot) => `${slot.start}-${slot.end}`),
+    ['09:00-12:00', '13:00-17:00'],
+  );
+});
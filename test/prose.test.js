@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli } = require('./support');
+
+function workspace(events, config = {}) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'Europe/Helsinki',
+      workDayStart: '09:00',
+      workDayEnd: '12:00',
+      nonWorkingDays: ['SAT', 'SUN'],
+      ...config,
+    },
+    'calendar.ics': buildCalendar(events),
+  });
+}
+
+async function prose(dir, start, end, args = []) {
+  const result = await runCli(dir, [
+    '-l',
+    '60',
+    '--start',
+    start,
+    '--end',
+    end,
+    '--format',
+    'prose',
+    ...args,
+  ]);
+  assert.equal(result.code, 0, result.stderr);
+  return result.stdout.trim();
+}
+
+test('prose merges days with the same windows and names nearby days by weekday', async () => {
+  const dir = workspace([
+    { DTSTART: '20261020T080000Z', DTEND: '20261020T090000Z', SUMMARY: 'Sync' },
+  ]);
+  assert.equal(
+    await prose(dir, '2026-10-19', '2026-10-21'),
+    "I'm free Monday 19 October all day, Tuesday before 11:00 or Wednesday all day " +
+      '(Helsinki time).',
+  );
+});
+
+test('prose dates the end of a run that reaches into another week', async () => {
+  const dir = workspace([], { nonWorkingDays: [] });
+  assert.equal(
+    await prose(dir, '2026-10-20', '2026-10-29'),
+    "I'm free Tuesday 20 October to Thursday 29 October all day (Helsinki time).",
+  );
+  assert.equal(
+    await prose(dir, '2026-10-20', '2026-10-23'),
+    "I'm free Tuesday 20 October to Friday all day (Helsinki time).",
+  );
+  assert.equal(
+    await prose(dir, '2026-10-22', '2026-10-26', ['--locale', 'fi']),
+    'Minulle sopii torstai 22. lokakuuta–maanantai 26. lokakuuta koko päivän ' +
+      '(aikavyöhyke Helsinki).',
+  );
+  assert.equal(
+    await prose(workspace([]), '2026-10-20', '2026-10-29'),
+    "I'm free Tuesday 20 October to Friday all day or Monday to Thursday 29 October all day " +
+      '(Helsinki time).',
+  );
+});
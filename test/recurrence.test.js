@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runJson } = require('./support');
+
+function workspace(events) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'UTC',
+      workDayStart: '09:00',
+      workDayEnd: '12:00',
+    },
+    'calendar.ics': buildCalendar(events),
+  });
+}
+
+const range = ['-l', '30', '--start', '2026-10-19', '--end', '2026-10-21'];
+const spans = (day) => day.slots.map((slot) => `${slot.start}-${slot.end}`);
+
+test('an EXDATE only removes the occurrence at that exact time', async () => {
+  const dir = workspace([
+    {
+      DTSTART: '20261019T100000Z',
+      DTEND: '20261019T110000Z',
+      RRULE: 'FREQ=DAILY;COUNT=3',
+      EXDATE: '20261020T090000Z,20261021T100000Z',
+      SUMMARY: 'Daily',
+    },
+  ]);
+  const days = await runJson(dir, range);
+  assert.deepEqual(days.map(spans), [
+    ['09:00-10:00', '11:00-12:00'],
+    ['09:00-10:00', '11:00-12:00'],
+    ['09:00-12:00'],
+  ]);
+});
+
+test('a RECURRENCE-ID only moves the occurrence at that exact time', async () => {
+  const dir = workspace([
+    {
+      uid: 'daily',
+      DTSTART: '20261019T100000Z',
+      DTEND: '20261019T110000Z',
+      RRULE: 'FREQ=DAILY;COUNT=3',
+      SUMMARY: 'Daily',
+    },
+    {
+      uid: 'daily',
+      'RECURRENCE-ID': '20261020T100000Z',
+      DTSTART: '20261020T090000Z',
+      DTEND: '20261020T093000Z',
+      SUMMARY: 'Daily',
+    },
+    {
+      uid: 'daily',
+      'RECURRENCE-ID': '20261021T113000Z',
+      DTSTART: '20261021T113000Z',
+      DTEND: '20261021T120000Z',
+      SUMMARY: 'Daily',
+    },
+  ]);
+  const days = await runJson(dir, range);
+  assert.deepEqual(days.map(spans), [
+    ['09:00-10:00', '11:00-12:00'],
+    ['09:30-12:00'],
+    ['09:00-10:00', '11:00-12:00'],
+  ]);
+});
+
+test('a date-only EXDATE removes a day of an all-day series', async () => {
+  const dir = workspace([
+    {
+      'DTSTART_VALUE=DATE': '20261019',
+      'DTEND_VALUE=DATE': '20261020',
+      RRULE: 'FREQ=DAILY;COUNT=3',
+      'EXDATE_VALUE=DATE': '20261020',
+      SUMMARY: 'Offsite',
+    },
+  ]);
+  for (const hostZone of ['UTC', 'Asia/Tokyo', 'America/Los_Angeles']) {
+    const days = await runJson(dir, range, { env: { TZ: hostZone } });
+    assert.deepEqual(days.map(spans), [[], ['09:00-12:00'], []], hostZone);
+  }
+});
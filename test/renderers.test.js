@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli } = require('./support');
+
+function workspace(events, config = {}) {
+  return createWorkspace({
+    'config.json': {
+      icsFile: 'calendar.ics',
+      timeZone: 'Europe/Helsinki',
+      workDayStart: '09:00',
+      workDayEnd: '11:00',
+      ...config,
+    },
+    'calendar.ics': buildCalendar(events),
+  });
+}
+
+const range = ['-l', '30', '--start', '2026-10-20', '--end', '2026-10-21'];
+
+async function gridRows(dir, args = []) {
+  const { code, stdout, stderr } = await runCli(dir, [...range, '--format', 'grid', ...args]);
+  assert.equal(code, 0, stderr);
+  return stdout.split('\n').filter((line) => /^\d\d:\d\d/.test(line));
+}
+
+test('grid cells follow the listed free slots', async () => {
+  const dir = workspace([
+    { DTSTART: '20261020T063000Z', DTEND: '20261020T070000Z', SUMMARY: 'Sync' },
+  ]);
+  assert.deepEqual(await gridRows(dir), [
+    '09:00  ·········  ·········',
+    '09:30  █████████  ·········',
+    '10:00  ·········  ·········',
+    '10:30  ·········  ·········',
+  ]);
+});
+
+test('grid leaves slots held back by load limits blank', async () => {
+  const dir = workspace(
+    [{ DTSTART: '20261020T063000Z', DTEND: '20261020T070000Z', SUMMARY: 'Sync' }],
+    { maxMeetingsPerDay: 1 },
+  );
+  assert.deepEqual(await gridRows(dir), [
+    '09:00             ·········',
+    '09:30  █████████  ·········',
+    '10:00             ·········',
+    '10:30             ·········',
+  ]);
+});
+
+test('grid reads localized slots correctly', async () => {
+  const dir = workspace([], { locale: 'en-US' });
+  const rows = await gridRows(dir);
+  assert.equal(rows.length, 4);
+  assert.ok(rows.every((row) => row.includes('·')));
+});
+
+test('html lists the free slots next to the week view', async () => {
+  const dir = workspace([
+    { DTSTART: '20261020T063000Z', DTEND: '20261020T070000Z', SUMMARY: 'Sync' },
+  ]);
+  const { stdout } = await runCli(dir, [...range, '--format', 'html']);
+  assert.match(stdout, /<li>Tue 20\.10: 09:00-09:30, 10:00-11:00<\/li>/);
+  assert.match(stdout, /title="busy"/);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+function workspace() {
+  const shared = { uid: 'review', DTSTART: '20261020T120000Z', DTEND: '20261020T130000Z' };
+  return createWorkspace({
+    'config.json': {
+      timeZone: 'UTC',
+      workDayStart: '09:00',
+      workDayEnd: '17:00',
+      calendars: [
+        { name: 'ann', icsFile: 'ann.ics' },
+        { name: 'bob', icsFile: 'bob.ics' },
+      ],
+    },
+    'ann.ics': buildCalendar([
+      {
+        uid: 'standup',
+        DTSTART: '20261019T090000Z',
+        DTEND: '20261019T091500Z',
+        RRULE: 'FREQ=DAILY;COUNT=2',
+        SUMMARY: 'Standup',
+      },
+      { DTSTART: '20261020T100000Z', DTEND: '20261020T110000Z', SUMMARY: 'Planning' },
+      { DTSTART: '20261020T103000Z', DTEND: '20261020T113000Z', SUMMARY: 'Overlap' },
+      { ...shared, SUMMARY: 'Review' },
+    ]),
+    'bob.ics': buildCalendar([{ ...shared, SUMMARY: 'Review' }]),
+  });
+}
+
+const range = ['--start', '2026-10-19', '--end', '2026-10-20'];
+
+test('report sums meetings per day, week and total', async () => {
+  const report = await runJson(workspace(), ['report', ...range]);
+  assert.deepEqual(
+    report.days.map((day) => [day.date, day.meetings, day.meetingMinutes, day.shortGaps]),
+    [
+      ['2026-10-19', 1, 15, 0],
+      ['2026-10-20', 4, 165, 0],
+    ],
+  );
+  assert.deepEqual(report.days[1].longestFree, { start: '13:00', end: '17:00', minutes: 240 });
+  assert.equal(report.days[0].bookedShare, 0.031);
+  assert.deepEqual(report.total, {
+    days: 2,
+    meetings: 5,
+    meetingMinutes: 180,
+    workMinutes: 960,
+    bookedShare: 0.188,
+  });
+  assert.deepEqual(report.weeks.map((week) => week.week), ['2026-W43']);
+});
+
+test('report groups a series and counts a shared meeting once', async () => {
+  const report = await runJson(workspace(), ['report', ...range]);
+  assert.deepEqual(
+    report.breakdown.map((item) => [item.summary, item.recurring, item.meetings]),
+    [
+      ['Overlap', false, 1],
+      ['Planning', false, 1],
+      ['Review', false, 1],
+      ['Standup', true, 2],
+    ],
+  );
+});
+
+test('report rejects formats it cannot render', async () => {
+  const result = await runCli(workspace(), ['report', ...range, '--format', 'html']);
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /report format must be table or json/);
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { after, before, test } = require('node:test');
+
+const { buildCalendar, createWorkspace, spawnCli } = require('./support');
+
+let child;
+let baseUrl;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const dir = createWorkspace({
+    'config.json': {
+      timeZone: 'UTC',
+      workDayStart: '09:00',
+      workDayEnd: '12:00',
+      calendars: [
+        { name: 'ann', icsFile: 'ann.ics' },
+        { name: 'bob', icsFile: 'bob.ics' },
+      ],
+    },
+    'ann.ics': buildCalendar([
+      { DTSTART: '20261020T090000Z', DTEND: '20261020T100000Z', SUMMARY: 'Sync' },
+    ]),
+    'bob.ics': buildCalendar([
+      { DTSTART: '20261020T110000Z', DTEND: '20261020T120000Z', SUMMARY: 'Review' },
+    ]),
+  });
+  const port = await findFreePort();
+  child = spawnCli(dir, ['serve', '--host', '127.0.0.1', '--port', String(port)]);
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Listening on')) {
+        resolve();
+      }
+    });
+    child.once('exit', (code) => reject(new Error(`serve exited with ${code}`)));
+  });
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  if (child.exitCode === null) {
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+});
+
+const spans = (slots) => slots.map((slot) => `${slot.start}-${slot.end}`);
+
+async function get(route) {
+  const response = await fetch(`${baseUrl}${route}`);
+  const type = response.headers.get('content-type') || '';
+  const body = type.includes('json') ? await response.json() : await response.text();
+  return { status: response.status, body };
+}
+
+test('/free returns the same JSON as the CLI', async () => {
+  const { status, body } = await get('/free?length=30&start=2026-10-20&end=2026-10-20');
+  assert.equal(status, 200);
+  assert.deepEqual(spans(body[0].slots), ['10:00-11:00']);
+});
+
+test('/free honours participants', async () => {
+  const { body } = await get('/free?length=30&start=2026-10-20&end=2026-10-20&participants=bob');
+  assert.deepEqual(spans(body[0].slots), ['09:00-11:00']);
+});
+
+test('/busy lists the busy intervals per day', async () => {
+  const { status, body } = await get('/busy?date=2026-10-20');
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body[0].busy.map((interval) => `${interval.start}-${interval.end} ${interval.calendar}`),
+    ['09:00-10:00 ann', '11:00-12:00 bob'],
+  );
+});
+
+test('/freebusy.ics returns the VFREEBUSY feed', async () => {
+  const { status, body } = await get('/freebusy.ics?start=2026-10-20&end=2026-10-20');
+  assert.equal(status, 200);
+  assert.match(body, /BEGIN:VFREEBUSY/);
+  assert.match(body, /20261020T090000Z\/20261020T100000Z/);
+});
+
+test('invalid parameters return 400 with an error message', async () => {
+  const { status, body } = await get('/free?length=30&start=someday&end=2026-10-20');
+  assert.equal(status, 400);
+  assert.match(body.error, /Unsupported date format: someday/);
+});
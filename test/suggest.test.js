@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, runCli, runJson } = require('./support');
+
+function event(uid, start, end) {
+  return { uid, DTSTART: `20261020T${start}00Z`, DTEND: `20261020T${end}00Z`, SUMMARY: uid };
+}
+
+function workspace(calendars, config = {}) {
+  const files = {
+    'config.json': {
+      calendars: Object.keys(calendars).map((name) => ({ name, icsFile: `${name}.ics` })),
+      timeZone: 'UTC',
+      workDayStart: '09:00',
+      workDayEnd: '12:00',
+      timeGridMinutes: 60,
+      ...config,
+    },
+  };
+  for (const [name, events] of Object.entries(calendars)) {
+    files[`${name}.ics`] = buildCalendar(events);
+  }
+  return createWorkspace(files);
+}
+
+const range = ['-l', '60', '--start', '2026-10-20'];
+const spans = (slots) => slots.map((slot) => `${slot.start}-${slot.end}`);
+
+test('quorum ranks slots by how many attendees are free', async () => {
+  const dir = workspace({
+    ann: [event('Review', '0900', '1000')],
+    bob: [event('Review', '0900', '1000'), event('Sync', '1000', '1100')],
+    cat: [],
+  });
+  const slots = await runJson(dir, [...range, '--quorum', '2']);
+  assert.deepEqual(spans(slots), ['11:00-12:00', '10:00-11:00']);
+  assert.deepEqual(
+    slots.map((slot) => [slot.available, slot.total, slot.missing]),
+    [
+      [3, 3, []],
+      [2, 3, ['bob']],
+    ],
+  );
+});
+
+test('quorum keeps only slots where required attendees are free', async () => {
+  const dir = workspace({ ann: [event('Sync', '1100', '1200')], bob: [] });
+  const slots = await runJson(dir, [...range, '--quorum', '1', '--required', 'ann']);
+  assert.deepEqual(spans(slots), ['09:00-10:00', '10:00-11:00']);
+});
+
+test('suggest ranks preferred hours first and reports the factors', async () => {
+  const dir = workspace({ ann: [] }, { preferredHours: [{ start: '11:00', end: '12:00' }] });
+  const suggestions = await runJson(dir, ['suggest', ...range, '--top', '2']);
+  assert.deepEqual(suggestions.map((suggestion) => suggestion.rank), [1, 2]);
+  assert.equal(suggestions[0].start, '11:00');
+  assert.ok(suggestions[0].score > suggestions[1].score);
+  assert.equal(suggestions[0].factors.preferredHours, 1);
+});
+
+test('suggest and quorum reject formats they cannot render', async () => {
+  const dir = workspace({ ann: [], bob: [] });
+  const suggest = await runCli(dir, ['suggest', ...range, '--format', 'html']);
+  assert.notEqual(suggest.code, 0);
+  assert.match(suggest.stderr, /suggest format must be text or json/);
+  const quorum = await runCli(dir, [...range, '--quorum', '1', '--format', '{label} {start}']);
+  assert.notEqual(quorum.code, 0);
+  assert.match(quorum.stderr, /--quorum format must be text or json/);
+});
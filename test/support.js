@@ -0,0 +1,97 @@
+'use strict';
+
+const { execFile, spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+function buildCalendar(events) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//outlook-free-time//test//EN'];
+  events.forEach((event, index) => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid || `event-${index}`}@test`);
+    for (const [key, value] of Object.entries(event)) {
+      if (key !== 'uid') {
+        lines.push(`${key.replace(/_/g, ';')}:${value}`);
+      }
+    }
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+const workspaces = [];
+
+process.on('exit', () => {
+  for (const dir of workspaces) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createWorkspace(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outlook-free-time-'));
+  workspaces.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  return dir;
+}
+
+function buildEnv(dir, extra) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith('OUTLOOK_FREE_TIME_')),
+  );
+  return { ...env, HOME: dir, USERPROFILE: dir, TZ: 'UTC', ...extra };
+}
+
+function runCli(dir, args, options = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      process.execPath,
+      [CLI, ...args, '--config', path.join(dir, 'config.json')],
+      { cwd: dir, env: buildEnv(dir, options.env), timeout: 30000 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      },
+    );
+    child.stdin.end(options.input || '');
+  });
+}
+
+function spawnCli(dir, args) {
+  return spawn(process.execPath, [CLI, ...args, '--config', path.join(dir, 'config.json')], {
+    cwd: dir,
+    env: buildEnv(dir),
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+async function runJson(dir, args, options) {
+  const result = await runCli(dir, [...args, '--format', 'json'], options);
+  if (result.code !== 0) {
+    throw new Error(`CLI failed (${result.code}): ${result.stderr}`);
+  }
+  return JSON.parse(result.stdout);
+}
+
+function todayInZone(timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+  return new Date(`${parts}T00:00:00Z`);
+}
+
+function isoDay(date, offsetDays = 0) {
+  return new Date(date.getTime() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  buildCalendar,
+  createWorkspace,
+  runCli,
+  spawnCli,
+  runJson,
+  todayInZone,
+  isoDay,
+};
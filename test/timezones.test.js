@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { loadCalendar } = require('../src/index');
+const { buildCalendar, createWorkspace, runCli } = require('./support');
+
+const RANGE_START = new Date('2026-10-19T00:00:00Z');
+const RANGE_END = new Date('2026-10-24T00:00:00Z');
+
+function lostEvent(uid) {
+  return {
+    uid,
+    'DTSTART_TZID=Mars Time': '20261020T140000',
+    'DTEND_TZID=Mars Time': '20261020T143000',
+    SUMMARY: 'Lost',
+  };
+}
+
+const clean = { DTSTART: '20261020T090000Z', DTEND: '20261020T100000Z', SUMMARY: 'Sync' };
+
+function workspace() {
+  return createWorkspace({
+    'config.json': {
+      timeZone: 'UTC',
+      calendars: [
+        { name: 'ann', icsFile: 'ann.ics' },
+        { name: 'bob', icsFile: 'bob.ics' },
+        { name: 'cat', icsFile: 'cat.ics' },
+      ],
+    },
+    'ann.ics': buildCalendar([lostEvent('ann')]),
+    'bob.ics': buildCalendar([lostEvent('bob')]),
+    'cat.ics': buildCalendar([clean]),
+  });
+}
+
+test('each calendar index lists its own unresolved time zones', async () => {
+  const dir = workspace();
+  const load = (name) =>
+    loadCalendar({ icsFile: `${name}.ics`, configDir: dir }, RANGE_START, RANGE_END);
+  for (const name of ['ann', 'bob', 'ann']) {
+    assert.deepEqual((await load(name)).unresolvedTimeZones, ['Mars Time'], name);
+  }
+  assert.deepEqual((await load('cat')).unresolvedTimeZones, []);
+});
+
+test('--debug only warns about time zones of the calendars that were loaded', async () => {
+  const dir = workspace();
+  const args = ['-l', '30', '--start', '2026-10-20', '--debug'];
+  for (let run = 0; run < 2; run += 1) {
+    const lost = await runCli(dir, [...args, '-p', 'bob']);
+    assert.match(lost.stderr, /could not resolve TZID "Mars Time"/);
+  }
+  const tidy = await runCli(dir, [...args, '-p', 'cat']);
+  assert.equal(tidy.code, 0, tidy.stderr);
+  assert.doesNotMatch(tidy.stderr, /Warning/);
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildCalendar, createWorkspace, spawnCli } = require('./support');
+
+test('watch reports the window it checks and stops cleanly on SIGTERM', async () => {
+  const dir = createWorkspace({
+    'config.json': { icsFile: 'calendar.ics', timeZone: 'UTC', cacheMaxAgeMinutes: 15 },
+    'calendar.ics': buildCalendar([]),
+  });
+  const range = ['--start', '2026-10-20', '--end', '2026-10-21'];
+  const child = spawnCli(dir, ['watch', '-l', '30', ...range]);
+  let stdout = '';
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (stdout.includes('\n')) {
+        resolve();
+      }
+    });
+    child.once('exit', (code) => reject(new Error(`watch exited early with ${code}`)));
+  });
+  // The signal handlers are installed right after the first line is written.
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  child.kill('SIGTERM');
+  assert.equal(await exited, 0);
+  assert.deepEqual(stdout.trim().split('\n'), [
+    'Watching 20.10-21.10 for 30 min slots, every 15 min',
+    'Stopped watching',
+  ]);
+});